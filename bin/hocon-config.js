@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const { runCli } = require("../lib/cli");
+
+process.exitCode = runCli(process.argv.slice(2));
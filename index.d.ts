@@ -1,29 +1,300 @@
 // index.d.ts
 
 declare module "hocon-config" {
+  import { EventEmitter } from "events";
+
+  type DurationUnit =
+    | "ns" | "nano" | "nanos" | "nanosecond" | "nanoseconds"
+    | "us" | "micro" | "micros" | "microsecond" | "microseconds"
+    | "ms" | "milli" | "millis" | "millisecond" | "milliseconds"
+    | "s" | "second" | "seconds"
+    | "m" | "minute" | "minutes"
+    | "h" | "hour" | "hours"
+    | "d" | "day" | "days";
+
+  interface ConvertUnitsOptions {
+    /** Convert duration strings to numbers of this unit (true => "ms") */
+    duration?: DurationUnit | boolean;
+    /** Convert memory-size strings to numbers of bytes */
+    bytes?: boolean;
+  }
+
+  type SchemaType =
+    | "any"
+    | "string"
+    | "number"
+    | "int"
+    | "integer"
+    | "boolean"
+    | "object"
+    | "array"
+    | "duration"
+    | "bytes";
+
+  interface SchemaSpec {
+    type?: SchemaType;
+    required?: boolean;
+    default?: any;
+    enum?: any[];
+    /** Numbers: value; strings / arrays: length */
+    min?: number;
+    max?: number;
+    /** Child specs for type "object" */
+    properties?: Schema;
+    /** Element spec for type "array" */
+    items?: SchemaSpec;
+    /** true / undefined => ok, false or a string (message) => violation */
+    validate?: (value: any, path: string) => boolean | string | void;
+    /** Redact the value in debug output, rendering and error messages */
+    sensitive?: boolean;
+  }
+
+  type Schema = Record<string, SchemaSpec>;
+
+  type SourceFormat = "hocon" | "json" | "properties" | "env";
+
+  /**
+   * Reads ${scheme:argument}; undefined / null => not found. A promise
+   * needs parseAsync / parseFileAsync / parseStringAsync.
+   */
+  type SubstitutionResolver = (
+    argument: string,
+    info: { scheme: string; baseDir: string; includeRoot: string | null }
+  ) => any;
+
   interface ParseRuntimeOptions {
     envPrefix?: string;
     parseEnv?: boolean;
     parseArgs?: boolean;
+    /** Args scanned when parseArgs is on (default process.argv.slice(2)) */
+    argv?: string[];
+    /** A .env file whose variables sit underneath process.env */
+    envFile?: string;
+    /** Only override keys the file already has (default: true without envPrefix) */
+    envOnlyExisting?: boolean;
+    /** Convert env / argv values to the type they replace; throw if they can't be */
+    coerceOverrides?: boolean;
+    /** Applied on top of env and CLI overrides */
+    overrides?: Record<string, any>;
     debug?: boolean;
+    /** Throw on malformed input (default true); false => collect warnings */
+    strict?: boolean;
+    /** Receives a HoconParseError per problem when strict is false */
+    warnings?: HoconParseError[];
+    /** Return a Config (typed getters) instead of the bare object */
+    asConfig?: boolean;
+    /** Turn "30s" / "512MiB" style strings into numbers (true => both, ms + bytes) */
+    convertUnits?: boolean | ConvertUnitsOptions;
+    /** Validate (and coerce / default) the resolved result */
+    schema?: Schema | SchemaSpec;
+    /** Remember where every value came from; see Config.origin() / explain() */
+    trackOrigins?: boolean;
+    /** Receives the absolute path of every include, found or not */
+    includedFiles?: string[];
+    /** Merge every installed dependency's reference.conf underneath */
+    referenceConf?: boolean;
+    /** How to read the source (default: by file extension, else HOCON) */
+    format?: SourceFormat;
+    /** Throw on any include resolving outside this directory */
+    includeRoot?: string;
+    /** How deep includes may nest (default 50); cycles always throw */
+    maxIncludeDepth?: number;
+    /** ${scheme:argument} lookups, on top of the built-in env and file */
+    resolvers?: Record<string, SubstitutionResolver | null>;
+    /** Keeps lookup results across parses (default: one cache per parse) */
+    resolverCache?: Map<string, any>;
+    /** Path patterns ("*.password") redacted in debug output and rendering */
+    sensitive?: string[];
     // ...add more if you want them typed
   }
 
   interface ParseFileOptions {
     debug?: boolean;
     overrides?: Record<string, any>;
+    /** Throw on malformed input (default true); false => collect warnings */
+    strict?: boolean;
+    /** Receives a HoconParseError per problem when strict is false */
+    warnings?: HoconParseError[];
+    /** Used in error messages (set automatically by parseFile) */
+    filePath?: string;
+    /** Return a Config (typed getters) instead of the bare object */
+    asConfig?: boolean;
+    /** Turn "30s" / "512MiB" style strings into numbers (true => both, ms + bytes) */
+    convertUnits?: boolean | ConvertUnitsOptions;
+    /** Validate (and coerce / default) the resolved result */
+    schema?: Schema | SchemaSpec;
+    /** Remember where every value came from; see Config.origin() / explain() */
+    trackOrigins?: boolean;
+    /** Receives the absolute path of every include, found or not */
+    includedFiles?: string[];
+    /** Merge every installed dependency's reference.conf underneath */
+    referenceConf?: boolean;
+    /** How to read the source (default: by file extension, else HOCON) */
+    format?: SourceFormat;
+    /** Throw on any include resolving outside this directory */
+    includeRoot?: string;
+    /** How deep includes may nest (default 50); cycles always throw */
+    maxIncludeDepth?: number;
+    /** ${scheme:argument} lookups, on top of the built-in env and file */
+    resolvers?: Record<string, SubstitutionResolver | null>;
+    /** Keeps lookup results across parses (default: one cache per parse) */
+    resolverCache?: Map<string, any>;
+    /** Path patterns ("*.password") redacted in debug output and rendering */
+    sensitive?: string[];
     // ...add more if you want them typed
   }
 
+  /**
+   * Thrown for malformed input: unexpected tokens, unbalanced braces/brackets,
+   * unterminated strings, unsupported include syntax.
+   */
+  export class HoconParseError extends Error {
+    /** The message without position / code frame */
+    reason: string;
+    filePath: string | null;
+    line: number;
+    column: number;
+    codeFrame: string;
+  }
+
+  /**
+   * Thrown by Config getters: MISSING (undefined / null), WRONG_TYPE,
+   * or BAD_VALUE (e.g. not a valid duration).
+   */
+  export class ConfigError extends Error {
+    /** Full dotted path, including the getConfig() prefix */
+    path: string;
+    code: "MISSING" | "WRONG_TYPE" | "BAD_VALUE";
+    /** "string" | "number" | "boolean" | "object" | "list" | "null" | "undefined" */
+    actualType: string | null;
+  }
+
+  /**
+   * Thrown when a schema is given and the resolved config violates it.
+   */
+  export class SchemaValidationError extends Error {
+    errors: { path: string; message: string }[];
+  }
+
+  /**
+   * Validate a plain object in place (coercions + defaults);
+   * throws SchemaValidationError listing every violation. Values on
+   * `sensitive` paths (patterns) are redacted in the messages.
+   */
+  export function validateConfig<T = Record<string, any>>(
+    config: Record<string, any>,
+    schema: Schema | SchemaSpec,
+    sensitive?: string[]
+  ): T;
+
+  export interface ValueOrigin {
+    source: "file" | "string" | "env" | "argv" | "override";
+    /** file / string sources */
+    file?: string | null;
+    line?: number;
+    column?: number;
+    /** Files that included `file`, outermost first */
+    includeChain?: (string | null)[];
+    /** env source: the variable name */
+    env?: string;
+    /** argv source: the whole argument */
+    arg?: string;
+    /** e.g. "config/base.conf:12:3, included from config/app.conf" */
+    description: string;
+  }
+
+  export interface OriginInfo extends ValueOrigin {
+    path: string;
+    value: any;
+    /** Earlier assignments this value replaced, most recent first */
+    overridden: (ValueOrigin & { value: any })[];
+  }
+
+  /**
+   * Read-only view over a parsed config with typed getters.
+   * Paths use substitution syntax: `a.b.c`, `a."dotted.key"`.
+   */
+  export class Config {
+    constructor(root: Record<string, any>, prefix?: string);
+    /** Needs trackOrigins; null if the path is missing or untracked */
+    origin(path: string): OriginInfo | null;
+    /** Needs trackOrigins; one line per value (under path) plus what it overrode */
+    explain(path?: string): string;
+    get<T = any>(path: string): T;
+    getString(path: string): string;
+    getNumber(path: string): number;
+    getInt(path: string): number;
+    /** also reads "yes" / "on" / "no" / "off" (any case) */
+    getBoolean(path: string): boolean;
+    getList<T = any>(path: string): T[];
+    /** "30s", "1.5 hours", ... in `unit` (default "ms"); plain numbers are ms */
+    getDuration(path: string, unit?: DurationUnit): number;
+    /** "512MiB", "10kB", ... in bytes; plain numbers are bytes */
+    getBytes(path: string): number;
+    getConfig(path: string): Config;
+    hasPath(path: string): boolean;
+    keys(): string[];
+    toObject(): Record<string, any>;
+    /** Whether the value at path is redacted in output */
+    isSensitive(path: string): boolean;
+    /** A copy with sensitive values replaced by "[REDACTED]" */
+    toSafeJSON(): Record<string, any>;
+  }
+
+  /** Duration string => number of `unit` (default "ms"), undefined if invalid */
+  export function parseDuration(
+    value: string | number,
+    unit?: DurationUnit
+  ): number | undefined;
+
+  /** Memory-size string => number of bytes, undefined if invalid */
+  export function parseBytes(value: string | number): number | undefined;
+
   /**
    * parse(filePath, [runtimeOptions]):
    *   1) Gather overrides from process.env + process.argv
    *   2) parseFile(...) with those overrides
    */
   export function parse(
+    filePath: string,
+    runtimeOptions: ParseRuntimeOptions & { asConfig: true }
+  ): Config;
+  export function parse<T = any>(
     filePath: string,
     runtimeOptions?: ParseRuntimeOptions
-  ): any;
+  ): T;
+
+  export interface LayerInfo {
+    /** File name with the profile filled in */
+    name: string;
+    /** Absolute path */
+    file: string;
+    /** Whether the file exists and was loaded */
+    found: boolean;
+  }
+
+  export interface LoadConfigOptions extends ParseRuntimeOptions {
+    /** Directory holding the files (default process.cwd()) */
+    dir?: string;
+    /** Profile for "{profile}" file names (default NODE_ENV) */
+    profile?: string | null;
+    /** Files to layer, lowest precedence first */
+    files?: string[];
+    /** Receives a LayerInfo for every file layer */
+    layers?: LayerInfo[];
+  }
+
+  /**
+   * loadConfig([options]):
+   *   reference.conf < application.conf < application.<profile>.conf
+   *   < application.local.conf < env < argv < overrides
+   */
+  export function loadConfig(
+    options: LoadConfigOptions & { asConfig: true }
+  ): Config;
+  export function loadConfig<T = Record<string, any>>(
+    options?: LoadConfigOptions
+  ): T;
 
   /**
    * parseFile(filePath, [options]):
@@ -31,9 +302,13 @@ declare module "hocon-config" {
    *   environment expansions, etc. and returns an object.
    */
   export function parseFile(
+    filePath: string,
+    options: ParseFileOptions & { asConfig: true }
+  ): Config;
+  export function parseFile<T = Record<string, any>>(
     filePath: string,
     options?: ParseFileOptions
-  ): Record<string, any>;
+  ): T;
 
   /**
    * parseString(content, baseDir, [options]):
@@ -41,8 +316,131 @@ declare module "hocon-config" {
    *   returning an object.
    */
   export function parseString(
+    content: string,
+    baseDir: string | undefined,
+    options: ParseFileOptions & { asConfig: true }
+  ): Config;
+  export function parseString<T = Record<string, any>>(
     content: string,
     baseDir?: string,
     options?: ParseFileOptions
-  ): Record<string, any>;
+  ): T;
+
+  /**
+   * parseAsync / parseFileAsync / parseStringAsync:
+   *   Same options and results as the sync versions; files are read with
+   *   fs.promises and independent includes are loaded concurrently.
+   */
+  export function parseAsync(
+    filePath: string,
+    runtimeOptions: ParseRuntimeOptions & { asConfig: true }
+  ): Promise<Config>;
+  export function parseAsync<T = any>(
+    filePath: string,
+    runtimeOptions?: ParseRuntimeOptions
+  ): Promise<T>;
+  export function parseFileAsync(
+    filePath: string,
+    options: ParseFileOptions & { asConfig: true }
+  ): Promise<Config>;
+  export function parseFileAsync<T = Record<string, any>>(
+    filePath: string,
+    options?: ParseFileOptions
+  ): Promise<T>;
+  export function parseStringAsync(
+    content: string,
+    baseDir: string | undefined,
+    options: ParseFileOptions & { asConfig: true }
+  ): Promise<Config>;
+  export function parseStringAsync<T = Record<string, any>>(
+    content: string,
+    baseDir?: string,
+    options?: ParseFileOptions
+  ): Promise<T>;
+
+  /**
+   * generateTypes(filePath, [options]):
+   *   parseFile(...) and infer a TypeScript interface from the resolved
+   *   structure; returns the .d.ts source. Pair it with parse<T>():
+   *
+   *     import type { Config as AppConfig } from "./app-config";
+   *     const conf = parse<AppConfig>("app.conf");
+   */
+  export function generateTypes(
+    filePath: string,
+    options?: ParseFileOptions & { name?: string }
+  ): string;
+
+  export interface ConfigChange {
+    path: string;
+    type: "added" | "removed" | "changed";
+    before: any;
+    after: any;
+  }
+
+  /** Objects are compared key by key, anything else (arrays too) as a whole */
+  export function diffConfigs(before: any, after: any): ConfigChange[];
+
+  export interface WatchOptions extends ParseRuntimeOptions {
+    /** Quiet period after a change before re-parsing, ms (default 100) */
+    debounce?: number;
+    /** Poll interval for each watched file, ms (default 250) */
+    interval?: number;
+  }
+
+  export type ChangeListener<T = any> = (
+    config: T,
+    changes: ConfigChange[],
+    previous: T
+  ) => void;
+
+  export class ConfigWatcher<T = any> extends EventEmitter {
+    /** The last config that parsed successfully */
+    config: T;
+    /** The root file and every include currently watched */
+    files: Set<string>;
+    /** Re-parse right away */
+    reload(): void;
+    close(): void;
+    on(event: "change", listener: ChangeListener<T>): this;
+    on(event: "error", listener: (err: Error) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+  }
+
+  /**
+   * watch(filePath, [options], [onChange]):
+   *   parse() now and again whenever filePath or one of its includes changes.
+   *   A failed re-parse keeps the previous config and emits "error".
+   */
+  export function watch<T = any>(
+    filePath: string,
+    options?: WatchOptions,
+    onChange?: ChangeListener<T>
+  ): ConfigWatcher<T>;
+  export function watch<T = any>(
+    filePath: string,
+    onChange: ChangeListener<T>
+  ): ConfigWatcher<T>;
+
+  export interface StringifyOptions {
+    /** Output format (default "json"); properties output is always flat */
+    format?: "json" | "hocon" | "properties";
+    /** Spaces per nesting level (default 2) */
+    indent?: number;
+    /** Emit object keys in sorted order at every level */
+    sortKeys?: boolean;
+    /** One `a.b.c = value` entry per leaf instead of nested objects */
+    flatten?: boolean;
+    /** More path patterns to redact, on top of those given when parsing */
+    sensitive?: string[];
+    /** false => write sensitive values out as they are (default true) */
+    redact?: boolean;
+  }
+
+  /**
+   * stringify(config, [options]):
+   *   Render a resolved config as JSON, HOCON or .properties text;
+   *   HOCON output parses back (parseString) to an identical object.
+   */
+  export function stringify(config: any, options?: StringifyOptions): string;
 }
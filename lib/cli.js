@@ -0,0 +1,224 @@
+/**
+ * cli.js => the `hocon-config` command line (see bin/hocon-config.js).
+ *
+ * runCli(argv, io) returns the exit code instead of exiting,
+ * so the commands can be driven from tests.
+ */
+const fs = require("fs");
+const { parse, generateTypes, stringify } = require("./hoconParser");
+const { Config } = require("./config");
+const { REDACTED } = require("./sensitive");
+const { maybeConvertPrimitive } = require("./utils");
+
+const USAGE = `Usage: hocon-config <command> [options] [-- app args]
+
+Commands:
+  resolve <file>         Print the fully resolved config
+                           --format json|hocon|properties  (default json)
+                           --sort-keys           sort object keys
+                           --flatten             one dotted path per value
+  get <file> <path>      Print one value (strings raw, anything else as JSON)
+  explain <file> [path]  Show where each value (under path) came from
+  validate <file>        Report every parse problem in <file> and its includes
+  types <file>           Print a TypeScript interface inferred from <file>
+                           --out <file.d.ts>     write to a file instead of stdout
+                           --name <Name>         interface name (default Config)
+
+Overrides (resolve, get, explain, validate), same as parse():
+  --parse-env            apply environment variables (parseEnv)
+  --env-prefix <PREFIX>  only variables starting with PREFIX (envPrefix, implies --parse-env)
+  --parse-args           apply --key=value args given after "--" (parseArgs)
+  --set <key=value>      extra override, repeatable, applied last ("8080" => 8080)
+  --sensitive <pattern>  print values at matching paths as [REDACTED], repeatable
+                         (e.g. --sensitive "*.password"; resolve, get, explain)
+
+Exit codes: 0 ok, 1 failed / invalid config, 2 bad usage, 3 path not found (get, explain)
+`;
+
+// flags that never take a value, so `--parse-env app.conf` keeps app.conf positional
+const BOOLEAN_FLAGS = new Set([
+  "parse-env",
+  "parse-args",
+  "sort-keys",
+  "flatten",
+]);
+
+class UsageError extends Error {}
+
+const COMMANDS = {
+  resolve(positional, flags, io, passthrough) {
+    const [file] = positional;
+    if (!file) throw new UsageError("resolve: missing <file>");
+    const format = flags.format || "json";
+    if (!["json", "hocon", "properties"].includes(format)) {
+      throw new UsageError(`resolve: unknown --format "${format}"`);
+    }
+    const config = loadWithFlags(file, flags, passthrough);
+    const text = stringify(config, {
+      format,
+      sortKeys: Boolean(flags["sort-keys"]),
+      flatten: Boolean(flags.flatten),
+    });
+    io.stdout.write(`${text}\n`);
+    return 0;
+  },
+
+  get(positional, flags, io, passthrough) {
+    const [file, key] = positional;
+    if (!file || !key) throw new UsageError("get: expected <file> <path>");
+    const config = new Config(loadWithFlags(file, flags, passthrough));
+    if (!config.hasPath(key)) {
+      io.stderr.write(`hocon-config: path '${key}' not found in ${file}\n`);
+      return 3;
+    }
+    const value = config.isSensitive(key)
+      ? REDACTED
+      : new Config(config.toSafeJSON()).get(key);
+    const text =
+      typeof value === "string" ? value : JSON.stringify(value, null, 2);
+    io.stdout.write(`${text}\n`);
+    return 0;
+  },
+
+  explain(positional, flags, io, passthrough) {
+    const [file, key] = positional;
+    if (!file) throw new UsageError("explain: missing <file>");
+    const config = new Config(
+      loadWithFlags(file, flags, passthrough, { trackOrigins: true }),
+    );
+    if (key !== undefined && !config.hasPath(key)) {
+      io.stderr.write(`hocon-config: path '${key}' not found in ${file}\n`);
+      return 3;
+    }
+    io.stdout.write(`${config.explain(key)}\n`);
+    return 0;
+  },
+
+  validate(positional, flags, io, passthrough) {
+    const [file] = positional;
+    if (!file) throw new UsageError("validate: missing <file>");
+    const warnings = [];
+    loadWithFlags(file, flags, passthrough, { strict: false, warnings });
+    if (warnings.length) {
+      for (const w of warnings) io.stderr.write(`${w.message}\n\n`);
+      io.stderr.write(`${file}: ${warnings.length} problem(s)\n`);
+      return 1;
+    }
+    io.stdout.write(`${file}: OK\n`);
+    return 0;
+  },
+
+  types(positional, flags, io) {
+    const [file] = positional;
+    if (!file) throw new UsageError("types: missing <file>");
+    const dts = generateTypes(file, { name: flags.name || "Config" });
+    if (flags.out) {
+      fs.writeFileSync(flags.out, dts);
+    } else {
+      io.stdout.write(dts);
+    }
+    return 0;
+  },
+};
+
+/**
+ * loadWithFlags => parse() with the override flags mapped onto runtimeOptions
+ */
+function loadWithFlags(file, flags, passthrough, extra = {}) {
+  const envPrefix = flags["env-prefix"];
+  return parse(file, {
+    parseEnv: Boolean(flags["parse-env"] || envPrefix !== undefined),
+    envPrefix: typeof envPrefix === "string" ? envPrefix : "",
+    parseArgs: Boolean(flags["parse-args"]),
+    argv: passthrough,
+    overrides: parseSetFlags(flags.set),
+    sensitive: [].concat(flags.sensitive || []),
+    ...extra,
+  });
+}
+
+function parseSetFlags(set) {
+  const overrides = {};
+  for (const entry of [].concat(set || [])) {
+    const eqIdx = typeof entry === "string" ? entry.indexOf("=") : -1;
+    if (eqIdx < 1) {
+      throw new UsageError(`--set expects key=value, got "${entry}"`);
+    }
+    // typed like a --key=value app arg ("8080" => 8080)
+    overrides[entry.slice(0, eqIdx)] = maybeConvertPrimitive(
+      entry.slice(eqIdx + 1),
+    );
+  }
+  return overrides;
+}
+
+/**
+ * parseFlags(args) => { positional, flags, passthrough }
+ *   --key=value, --key value, and bare --flag (=> true, always for BOOLEAN_FLAGS);
+ *   a repeated flag collects its values into an array;
+ *   everything after a lone "--" is passed through untouched
+ */
+function parseFlags(args) {
+  const positional = [];
+  const flags = {};
+  let passthrough = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--") {
+      passthrough = args.slice(i + 1);
+      break;
+    }
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    let key = arg.slice(2);
+    let value = true;
+    const eqIdx = key.indexOf("=");
+    if (eqIdx >= 0) {
+      value = key.slice(eqIdx + 1);
+      key = key.slice(0, eqIdx);
+    } else if (
+      !BOOLEAN_FLAGS.has(key) &&
+      i + 1 < args.length &&
+      !args[i + 1].startsWith("--")
+    ) {
+      value = args[++i];
+    }
+    if (key in flags) {
+      flags[key] = [].concat(flags[key], value);
+    } else {
+      flags[key] = value;
+    }
+  }
+  return { positional, flags, passthrough };
+}
+
+/**
+ * runCli(argv, [io]) => exit code
+ */
+function runCli(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const [command, ...rest] = argv;
+  if (!command || command === "help" || command === "--help") {
+    io.stdout.write(USAGE);
+    return command ? 0 : 2;
+  }
+  const handler = COMMANDS[command];
+  try {
+    if (!handler) throw new UsageError(`unknown command "${command}"`);
+    const { positional, flags, passthrough } = parseFlags(rest);
+    return handler(positional, flags, io, passthrough);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      io.stderr.write(`hocon-config: ${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+    io.stderr.write(`hocon-config: ${err.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = {
+  runCli,
+  parseFlags,
+};
@@ -0,0 +1,236 @@
+/**
+ * config.js => Config, a read-only view over a parsed config with typed getters.
+ *
+ *   const conf = parseFile("app.conf", { asConfig: true });
+ *   conf.getInt("server.port");        // 8080, or throws ConfigError
+ *   conf.getConfig("database").keys(); // ["host", "port"]
+ *
+ * Paths use the same syntax as substitutions: `a.b.c`, `a."dotted.key"`.
+ * Values marked sensitive at parse time (see sensitive.js) stay readable
+ * through the getters but are redacted in toSafeJSON(), console.log / inspect,
+ * explain() and error messages.
+ */
+const util = require("util");
+const { parsePathExpression } = require("./parser");
+const { ConfigError } = require("./errors");
+const { getPath, deepClone, fromText } = require("./utils");
+const { parseDuration, parseBytes } = require("./units");
+const { getOrigins } = require("./origins");
+const { REDACTED, isSensitive, redact, getSensitive } = require("./sensitive");
+
+class Config {
+  /**
+   * @param {object} root      the parsed object this view reads from
+   * @param {string} [prefix]  path of `root` inside the full config (error messages)
+   * @param {OriginTracker} [origins]  set when parsed with trackOrigins
+   * @param {object[]} [sensitive]  rules from sensitive.js, set when parsed with `sensitive`
+   */
+  constructor(
+    root,
+    prefix = "",
+    origins = getOrigins(root),
+    sensitive = getSensitive(root),
+  ) {
+    this.root = root || {};
+    this.prefix = prefix;
+    this.origins = origins;
+    this.sensitive = sensitive;
+  }
+
+  /**
+   * get(path) => raw value, throws if missing (undefined or null)
+   */
+  get(path) {
+    const value = getPath(this.root, toSegments(path));
+    if (value == null) {
+      throw new ConfigError(`Config path '${this.fullPath(path)}' is missing`, {
+        path: this.fullPath(path),
+        code: "MISSING",
+        actualType: typeName(value),
+      });
+    }
+    return value;
+  }
+
+  getString(path) {
+    return this.typed(path, "string", (v) => typeof v === "string");
+  }
+
+  getNumber(path) {
+    return this.typed(path, "number", (v) => typeof v === "number");
+  }
+
+  getInt(path) {
+    return this.typed(path, "integer", (v) => Number.isInteger(v));
+  }
+
+  /**
+   * getBoolean(path) => true / false, or the text "yes", "on", "no", "off"
+   * (any case) read the same way schema coercion reads it
+   */
+  getBoolean(path) {
+    const value = this.typed(
+      path,
+      "boolean",
+      (v) => toBoolean(v) !== undefined,
+    );
+    return toBoolean(value);
+  }
+
+  getList(path) {
+    return this.typed(path, "list", (v) => Array.isArray(v));
+  }
+
+  /**
+   * getDuration(path, [unit]) => "30s", "1.5 hours", ... as a number of
+   * `unit` (default "ms"); plain numbers are milliseconds
+   */
+  getDuration(path, unit = "ms") {
+    return this.converted(path, "duration", (v) => parseDuration(v, unit));
+  }
+
+  /**
+   * getBytes(path) => "512MiB", "10kB", ... as a number of bytes
+   */
+  getBytes(path) {
+    return this.converted(path, "memory size", parseBytes);
+  }
+
+  /**
+   * getConfig(path) => a Config rooted at that object
+   */
+  getConfig(path) {
+    const value = this.typed(path, "object", (v) => typeName(v) === "object");
+    return new Config(value, this.fullPath(path), this.origins, this.sensitive);
+  }
+
+  /**
+   * origin(path) => where the value at path came from, and what it overrode;
+   * null if the config wasn't parsed with trackOrigins or the path is missing
+   */
+  origin(path) {
+    const segments = toSegments(path);
+    const value = getPath(this.root, segments);
+    if (!this.origins || value === undefined) return null;
+    return this.origins.lookup([...this.prefixSegments(), ...segments], value);
+  }
+
+  /**
+   * explain([path]) => a report of every value (under path) and its origin
+   */
+  explain(path) {
+    if (!this.origins) {
+      throw new Error(
+        "HOCON: explain() needs a config parsed with trackOrigins",
+      );
+    }
+    const segments = path === undefined ? [] : toSegments(path);
+    return this.origins.explain(
+      this.root,
+      segments,
+      this.prefixSegments(),
+      this.sensitive,
+    );
+  }
+
+  /**
+   * isSensitive(path) => true if the value at path is redacted in output
+   */
+  isSensitive(path) {
+    return isSensitive(this.sensitive, [
+      ...this.prefixSegments(),
+      ...toSegments(path),
+    ]);
+  }
+
+  /**
+   * toSafeJSON() => a copy of the config with sensitive values replaced by
+   * "[REDACTED]", safe to log
+   */
+  toSafeJSON() {
+    return redact(this.root, this.sensitive, this.prefixSegments());
+  }
+
+  [util.inspect.custom](depth, options) {
+    return `Config ${util.inspect(this.toSafeJSON(), { ...options, depth })}`;
+  }
+
+  /**
+   * hasPath(path) => true if the path exists and isn't null
+   */
+  hasPath(path) {
+    return getPath(this.root, toSegments(path)) != null;
+  }
+
+  keys() {
+    return Object.keys(this.root);
+  }
+
+  toObject() {
+    return deepClone(this.root);
+  }
+
+  typed(path, expected, check) {
+    const value = this.get(path);
+    if (!check(value)) {
+      const full = this.fullPath(path);
+      const actual = typeName(value);
+      throw new ConfigError(
+        `Config path '${full}' has type ${actual} (${this.preview(path, value)}), expected ${expected}`,
+        { path: full, code: "WRONG_TYPE", actualType: actual },
+      );
+    }
+    return value;
+  }
+
+  converted(path, expected, convert) {
+    const value = this.get(path);
+    const out = convert(value);
+    if (out === undefined) {
+      const full = this.fullPath(path);
+      throw new ConfigError(
+        `Config path '${full}' has value ${this.preview(path, value)}, which is not a valid ${expected}`,
+        { path: full, code: "BAD_VALUE", actualType: typeName(value) },
+      );
+    }
+    return out;
+  }
+
+  preview(path, value) {
+    return this.isSensitive(path) ? REDACTED : preview(value);
+  }
+
+  prefixSegments() {
+    return this.prefix ? toSegments(this.prefix) : [];
+  }
+
+  fullPath(path) {
+    const text = Array.isArray(path) ? path.join(".") : String(path);
+    return this.prefix ? `${this.prefix}.${text}` : text;
+  }
+}
+
+function toSegments(path) {
+  return Array.isArray(path) ? path : parsePathExpression(String(path));
+}
+
+function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  return typeof value === "string" ? fromText(value, "boolean") : undefined;
+}
+
+function typeName(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "list";
+  return typeof value;
+}
+
+function preview(value) {
+  // functions and the like (from a hand-built root) have no JSON form
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+module.exports = {
+  Config,
+};
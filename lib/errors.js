@@ -0,0 +1,108 @@
+/**
+ * errors.js => HoconParseError plus the strict / lenient reporting switch,
+ * ConfigError for lookups on an already-parsed config and
+ * SchemaValidationError for schema checks
+ */
+
+/**
+ * HoconParseError => malformed input, with file path, 1-based line/column
+ * and a code frame pointing at the offending spot.
+ */
+class HoconParseError extends Error {
+  constructor(reason, { filePath = null, line, column, source } = {}) {
+    const where = `${filePath || "<string>"}:${line}:${column}`;
+    const frame = source != null ? codeFrame(source, line, column) : "";
+    super(`${reason} (${where})${frame ? `\n\n${frame}` : ""}`);
+    this.name = "HoconParseError";
+    this.reason = reason;
+    this.filePath = filePath;
+    this.line = line;
+    this.column = column;
+    this.codeFrame = frame;
+  }
+}
+
+/**
+ * ConfigError => a Config getter failed.
+ *   code "MISSING"    => nothing (or null) at that path
+ *   code "WRONG_TYPE" => value exists but isn't what the getter returns
+ *   code "BAD_VALUE"  => right kind of value, but unparseable (e.g. a duration)
+ */
+class ConfigError extends Error {
+  constructor(message, { path, code, actualType = null } = {}) {
+    super(message);
+    this.name = "ConfigError";
+    this.path = path;
+    this.code = code;
+    this.actualType = actualType;
+  }
+}
+
+/**
+ * SchemaValidationError => every schema violation found in one pass,
+ * as `errors: [{ path, message }]`
+ */
+class SchemaValidationError extends Error {
+  constructor(errors) {
+    const lines = errors.map((e) => `  - ${e.path}: ${e.message}`);
+    super(
+      `Config validation failed with ${errors.length} error(s):\n${lines.join("\n")}`,
+    );
+    this.name = "SchemaValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * codeFrame(source, line, column) => the offending line with one line of
+ * context on each side and a caret under the column
+ */
+function codeFrame(source, line, column) {
+  const lines = source.split("\n");
+  const first = Math.max(1, line - 1);
+  const last = Math.min(lines.length, line + 1);
+  const width = String(last).length;
+  const out = [];
+  for (let n = first; n <= last; n++) {
+    const gutter = String(n).padStart(width);
+    const text = (lines[n - 1] || "").replace(/\r$/, "");
+    out.push(`${n === line ? ">" : " "} ${gutter} | ${text}`);
+    if (n === line) {
+      out.push(
+        `  ${" ".repeat(width)} | ${" ".repeat(Math.max(0, column - 1))}^`,
+      );
+    }
+  }
+  return out.join("\n");
+}
+
+/**
+ * makeReporter(options, source) => report(reason, {line, col})
+ *   strict (default) => throws a HoconParseError
+ *   strict: false   => collects into options.warnings (or console.warn) and keeps going
+ */
+function makeReporter(options, source) {
+  const { strict = true, warnings = null, filePath = null } = options;
+  return function report(reason, pos) {
+    const err = new HoconParseError(reason, {
+      filePath,
+      line: pos.line,
+      column: pos.col,
+      source,
+    });
+    if (strict) throw err;
+    if (Array.isArray(warnings)) {
+      warnings.push(err);
+    } else {
+      console.warn(`HOCON warning: ${err.message}`);
+    }
+  };
+}
+
+module.exports = {
+  HoconParseError,
+  ConfigError,
+  SchemaValidationError,
+  codeFrame,
+  makeReporter,
+};
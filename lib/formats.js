@@ -0,0 +1,235 @@
+/**
+ * formats.js => config sources that aren't HOCON, read into the same AST
+ * parser.js builds, so includes, merging, overrides and origins work unchanged:
+ *
+ *   .json        strict JSON; values keep their JSON types
+ *   .properties  Java-style `key = value` lines; dotted keys nest
+ *   .env         `KEY=VALUE` lines; keys map to paths the way prefixed
+ *                environment overrides do (DB_HOST => db.host,
+ *                pool__size => pool_size, Mixed_Case => Mixed.Case)
+ *
+ * Unquoted .properties / .env values are read like unquoted HOCON text
+ * ("8080" => 8080, "true" => true); quoted .env values stay strings.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseHocon } = require("./parser");
+const { makeReporter } = require("./errors");
+const {
+  maybeConvertPrimitive,
+  envKeyToPath,
+  foldEnvSegment,
+} = require("./utils");
+
+const FORMATS = ["hocon", "json", "properties", "env"];
+
+/**
+ * detectFormat(filePath, [format]) => `format` if given, else by extension
+ * (.json, .properties, .env / .env.*), HOCON for anything else
+ */
+function detectFormat(filePath, format = null) {
+  if (format) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(
+        `HOCON: Unknown format => ${format} (expected ${FORMATS.join(", ")})`,
+      );
+    }
+    return format;
+  }
+  const name = path.basename(filePath || "");
+  const ext = path.extname(name).toLowerCase();
+  if (ext === ".json") return "json";
+  if (ext === ".properties") return "properties";
+  if (ext === ".env" || name === ".env" || name.startsWith(".env.")) {
+    return "env";
+  }
+  return "hocon";
+}
+
+/**
+ * parseSource(content, [options]) => root Object node;
+ * options.format (default "hocon") picks the reader, the rest is parseHocon's
+ */
+function parseSource(content, options = {}) {
+  const { format = "hocon", ...rest } = options;
+  switch (format) {
+    case "json":
+      return parseJson(content, rest);
+    case "properties":
+      return parseProperties(content, rest);
+    case "env":
+      return parseEnv(content, rest);
+    default:
+      return parseHocon(content, rest);
+  }
+}
+
+function parseJson(content, options) {
+  const report = makeReporter(options, content);
+  const start = { line: 1, col: 1 };
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    report(`Invalid JSON: ${err.message}`, jsonErrorPosition(err, content));
+    return { type: "Object", fields: [], ...start };
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    report("A JSON config must be an object", start);
+    return { type: "Object", fields: [], ...start };
+  }
+  return toNode(data, start);
+}
+
+// V8 says "... at position N" for most syntax errors
+function jsonErrorPosition(err, content) {
+  const m = err.message.match(/at position (\d+)/);
+  if (!m) return { line: 1, col: 1 };
+  const before = content.slice(0, Number(m[1])).split("\n");
+  return { line: before.length, col: before[before.length - 1].length + 1 };
+}
+
+// JSON has no source positions to offer; everything points at its start
+function toNode(value, pos) {
+  if (Array.isArray(value)) {
+    return {
+      type: "Array",
+      elements: value.map((v) => toNode(v, pos)),
+      ...pos,
+    };
+  }
+  if (value && typeof value === "object") {
+    return {
+      type: "Object",
+      fields: Object.entries(value).map(([key, v]) =>
+        literalField([key], toNode(v, pos), pos),
+      ),
+      ...pos,
+    };
+  }
+  return { type: "Literal", value, ...pos };
+}
+
+function literalField(segments, value, pos) {
+  return { type: "Field", path: segments, op: "=", value, ...pos };
+}
+
+/**
+ * parseProperties => one field per `key = value` / `key: value` / `key value`
+ * line; `#` / `!` comments, `\` line continuations and \t \n \uXXXX escapes
+ * as in java.util.Properties
+ */
+function parseProperties(content, options) {
+  const report = makeReporter(options, content);
+  const fields = [];
+  for (const { text, line } of logicalLines(content)) {
+    const m = text.match(/^((?:\\.|[^\\=:\s])*)\s*[=:]?\s*(.*)$/);
+    const key = unescapeProperty(m[1]);
+    const pos = { line, col: 1 };
+    const segments = key.split(".");
+    if (segments.some((s) => !s.length)) {
+      report(`Invalid property key '${key}'`, pos);
+      continue;
+    }
+    const value = maybeConvertPrimitive(unescapeProperty(m[2]));
+    fields.push(
+      literalField(segments, { type: "Literal", value, ...pos }, pos),
+    );
+  }
+  return { type: "Object", fields, line: 1, col: 1 };
+}
+
+// joins `\`-continued lines; drops blank and comment lines
+function logicalLines(content) {
+  const out = [];
+  const lines = content.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = i + 1;
+    let text = lines[i].replace(/^\s+/, "");
+    if (!text || text[0] === "#" || text[0] === "!") continue;
+    while (/(^|[^\\])(\\\\)*\\$/.test(text) && i + 1 < lines.length) {
+      text = text.slice(0, -1) + lines[++i].replace(/^\s+/, "");
+    }
+    out.push({ text, line });
+  }
+  return out;
+}
+
+function unescapeProperty(text) {
+  return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, ch) => {
+    if (ch.length === 5) return String.fromCharCode(parseInt(ch.slice(1), 16));
+    return { t: "\t", n: "\n", r: "\r", f: "\f" }[ch] || ch;
+  });
+}
+
+/**
+ * parseEnv => one field per KEY=VALUE line (see readEnvEntries)
+ */
+function parseEnv(content, options) {
+  const report = makeReporter(options, content);
+  const fields = [];
+  for (const { key, value, quoted, line } of readEnvEntries(content, report)) {
+    const segments = envKeyToPath(key)
+      .split(".")
+      .filter((p) => p.length > 0)
+      .map(foldEnvSegment);
+    const pos = { line, col: 1 };
+    const typed = quoted ? value : maybeConvertPrimitive(value);
+    fields.push(
+      literalField(segments, { type: "Literal", value: typed, ...pos }, pos),
+    );
+  }
+  return { type: "Object", fields, line: 1, col: 1 };
+}
+
+/**
+ * readEnvEntries(content, report) => [{ key, value, quoted, line }] for a
+ * dotenv-style file: `#` comments, optional `export`, '...' taken literally,
+ * "..." with \n \t \" escapes, unquoted values up to a ` #` comment
+ */
+function readEnvEntries(content, report) {
+  const entries = [];
+  content.split(/\r?\n/).forEach((raw, i) => {
+    const text = raw.trim();
+    if (!text || text.startsWith("#")) return;
+    const m = text.match(/^(?:export\s+)?([A-Za-z_][\w.]*)\s*=\s*(.*)$/);
+    if (!m) {
+      report("Expected KEY=VALUE", { line: i + 1, col: 1 });
+      return;
+    }
+    const [, key, rest] = m;
+    let value = rest.replace(/\s+#.*$/, "").trim();
+    let quoted = false;
+    const q = rest.match(/^(["'])(.*)\1(\s+#.*)?$/);
+    if (q) {
+      quoted = true;
+      value =
+        q[1] === "'"
+          ? q[2]
+          : q[2].replace(/\\([nt"\\])/g, (_, ch) =>
+              ch === "n" ? "\n" : ch === "t" ? "\t" : ch,
+            );
+    }
+    entries.push({ key, value, quoted, line: i + 1 });
+  });
+  return entries;
+}
+
+/**
+ * readEnvFile(filePath) => { KEY: "value" } (strings, like process.env)
+ */
+function readEnvFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  const report = makeReporter({ filePath }, content);
+  const vars = {};
+  for (const { key, value } of readEnvEntries(content, report)) {
+    vars[key] = value;
+  }
+  return vars;
+}
+
+module.exports = {
+  detectFormat,
+  parseSource,
+  readEnvFile,
+};
@@ -1,42 +1,113 @@
 const fs = require("fs");
 const path = require("path");
+const { detectFormat, parseSource, readEnvFile } = require("./formats");
+const { resolveAst, preloadIncludes } = require("./resolver");
+const { Config } = require("./config");
+const {
+  HoconParseError,
+  ConfigError,
+  SchemaValidationError,
+} = require("./errors");
+const { validateConfig } = require("./schema");
+const { toTypeScript } = require("./typegen");
+const { stringify } = require("./stringify");
+const {
+  parseDuration,
+  parseBytes,
+  convertUnits: convertUnitsDeep,
+} = require("./units");
+const { OriginTracker, attachOrigins } = require("./origins");
+const { ConfigWatcher, diffConfigs } = require("./watch");
+const { findReferenceConfs, findReferenceConfsAsync } = require("./packages");
+const { lookupSettings } = require("./lookups");
+const { sensitiveRules, attachSensitive, redact } = require("./sensitive");
+const { dbg, envKeyToPath, maybeConvertPrimitive } = require("./utils");
 
 /**
  * parse(filePath, [runtimeOptions]):
  *   1) Gather overrides from process.env + process.argv
- *   2) parseFile(...) with those overrides
+ *      (runtimeOptions.argv replaces process.argv.slice(2), see buildArgMap for
+ *      the syntax; runtimeOptions.envFile adds a .env file's variables
+ *      underneath process.env)
+ *   2) parseFile(...) with those overrides, plus runtimeOptions.overrides on top;
+ *      every other option is passed through to parseFile
+ *
+ * Environment variables map to paths like Lightbend config's: `_` => `.`,
+ * `__` => `_`, `___` => `-` (APP_MAX__POOL_SIZE => max_pool.size with
+ * envPrefix "APP_"); a numeric segment indexes an array (APP_SERVERS_0_HOST);
+ * a value that parses as a JSON array or object is used as one. With an
+ * envPrefix, segments match the file's keys ignoring case (new ones in
+ * capitals are lowercased). Without one,
+ * only keys the file already has are overridden (runtimeOptions.envOnlyExisting,
+ * on by default then, so the rest of the environment stays out).
+ *
+ * Env and argv values are typed like unquoted file values ("8080" => 8080,
+ * "false" => false). runtimeOptions.coerceOverrides: true converts them to the
+ * type of the value they replace instead ("02134" stays a string over a
+ * string) and throws when one can't be ("80a" for a number).
  */
 function parse(filePath, runtimeOptions = {}) {
+  return parseFile(filePath, gatherOverrides(runtimeOptions));
+}
+
+/**
+ * gatherOverrides(runtimeOptions) => parseFile options, with env / argv /
+ * programmatic overrides merged into options.overrides
+ */
+function gatherOverrides(runtimeOptions) {
   const {
     envPrefix = "",
     parseEnv = true,
     parseArgs = true,
-    debug = false,
+    argv = process.argv.slice(2),
+    envFile = null,
+    envOnlyExisting = !envPrefix,
+    overrides = null,
+    ...fileOptions
   } = runtimeOptions;
 
+  // where each override came from (reported with trackOrigins)
+  const overrideSources = {};
+
   // gather env-based overrides
   let envMap = {};
-  if (parseEnv) envMap = buildEnvMap(process.env, envPrefix);
+  if (parseEnv) {
+    // the real environment wins over the file
+    if (envFile) {
+      const file = path.resolve(envFile);
+      envMap = buildEnvMap(readEnvFile(file), envPrefix, overrideSources, file);
+    }
+    Object.assign(envMap, buildEnvMap(process.env, envPrefix, overrideSources));
+  }
 
-  // gather CLI-based overrides
+  // gather CLI-based overrides; --config-file layers go on the document
   let argMap = {};
-  if (parseArgs) {
-    const argv = process.argv.slice(2);
-    argMap = buildArgMap(argv);
+  const configFiles = [];
+  if (parseArgs) argMap = buildArgMap(argv, overrideSources, configFiles);
+
+  for (const k of Object.keys(overrides || {})) {
+    overrideSources[k] = { source: "override" };
   }
 
-  // combine them
-  const finalOverrides = { ...envMap, ...argMap };
+  // combine them => env < CLI < programmatic overrides
+  const finalOverrides = { ...envMap, ...argMap, ...overrides };
 
-  return parseFile(filePath, {
-    debug,
+  return {
+    ...fileOptions,
     overrides: finalOverrides,
-  });
+    overrideSources,
+    envMatching: {
+      foldCase: Boolean(envPrefix),
+      existingOnly: envOnlyExisting,
+    },
+    overlays: configFiles.map((file) => path.resolve(file)),
+  };
 }
 
 /**
  * parseFile(filePath, [options]):
- *   Reads .conf from disk, merges includes (optional vs. required),
+ *   Reads .conf from disk (or .json / .properties / .env, by extension or
+ *   options.format; see formats.js), merges includes (optional vs. required),
  *   environment expansions, partial array logic, triple-quoted strings,
  *   multi-line arrays, fallback expansions, self references, dotted keys,
  *   typed booleans/null/numbers, plus `+=` merges for arrays & objects, etc.
@@ -44,913 +115,368 @@ function parse(filePath, runtimeOptions = {}) {
 function parseFile(filePath, options = {}) {
   const absPath = path.resolve(filePath);
   const content = fs.readFileSync(absPath, "utf8");
-  return parseString(content, path.dirname(absPath), options);
+  return parseString(content, path.dirname(absPath), {
+    ...options,
+    filePath: absPath,
+  });
 }
 
 /**
  * parseString(content, baseDir, [options]):
- *   Main parse from a string with HOCON features
+ *   Main parse from a string with HOCON features:
+ *   tokenize (lexer.js) => AST (parser.js) => evaluate (resolver.js)
+ *
+ *   Malformed input throws a HoconParseError (file, line, column, code frame).
+ *   With strict: false the parser skips what it can't read and pushes the
+ *   errors into options.warnings instead (or console.warn if not given).
+ *
+ *   asConfig: true => returns a Config (typed getters) instead of the bare object
+ *   convertUnits: { duration: "ms", bytes: true } (or true for both) =>
+ *     duration / size strings like "30s" or "512MiB" become numbers
+ *   schema => validate the resolved result (see schema.js): coerces strings,
+ *     applies defaults, throws a SchemaValidationError listing every violation
+ *   trackOrigins: true => remember where every value came from (file:line,
+ *     include chain, env var, CLI arg); read it back with
+ *     new Config(result).origin(path) / .explain() (see origins.js)
+ *   includedFiles: [] => receives the absolute path of every include, found or not
+ *   format: "hocon" | "json" | "properties" | "env" => how to read `content`
+ *     (default: by filePath's extension, see formats.js)
+ *   referenceConf: true => merge the reference.conf of every installed
+ *     dependency underneath the document (see packages.js)
+ *   includeRoot: "dir" => throw on any include resolving outside that directory
+ *   maxIncludeDepth (default 50) => how deep includes may nest; cycles throw
+ *     with the full chain regardless
+ *   resolvers: { scheme: (argument, info) => value } => ${scheme:argument}
+ *     lookups, on top of the built-in ${env:...} and ${file:...} (see lookups.js;
+ *     ${file:...} keeps to includeRoot too)
+ *   resolverCache: new Map() => keep lookup results across parses
+ *   sensitive: ["*.password", ...] => paths (plus schema specs with
+ *     sensitive: true) shown as "[REDACTED]" in debug output, stringify(),
+ *     Config.toSafeJSON() / inspect / explain() and error messages (see
+ *     sensitive.js)
  */
 function parseString(content, baseDir, options = {}) {
-  const { debug = false, overrides = null } = options;
+  const {
+    debug = false,
+    overrides = null,
+    strict = true,
+    warnings = null,
+    filePath = null,
+    format = null,
+    asConfig = false,
+    convertUnits = false,
+    schema = null,
+    trackOrigins = false,
+    overrideSources = null,
+    envMatching = null,
+    coerceOverrides = false,
+    includedFiles = null,
+    referenceConf = false,
+    includeRoot = null,
+    maxIncludeDepth,
+    resolvers = null,
+    resolverCache = null,
+    sensitive = null,
+    preloaded = null,
+    references = referenceConf ? findReferenceConfs(baseDir) : [],
+    overlays = [],
+  } = options;
 
   dbg(debug, `parseString() baseDir=${baseDir || "."}, len=${content.length}`);
 
-  // unify triple-quoted lines & multi-line arrays
-  let lines = preProcessHocon(content, debug);
-
-  // remove blank / comment lines
-  lines = lines
-    .map((l) => l.trim())
-    .filter((l) => l && !l.startsWith("#") && !l.startsWith("//"));
-
-  dbg(debug, `After preProcess, we have ${lines.length} lines`);
-
-  let currentIndex = 0;
-  const result = {};
-
-  function parseBlock(parentObj) {
-    while (currentIndex < lines.length) {
-      let line = lines[currentIndex];
-      dbg(debug, `Line ${currentIndex + 1}: ${line}`);
-
-      if (line.startsWith("}")) {
-        dbg(debug, "Block ends here");
-        return;
-      }
-
-      if (line.startsWith("include ")) {
-        handleInclude(line, parentObj);
-        currentIndex++;
-        continue;
-      }
-
-      // single-line => key { ... }
-      let match = line.match(/^([^=:]+?)\{\s*(.*?)\}\s*$/);
-      if (match) {
-        const key = match[1].trim();
-        const inner = match[2].trim();
-        const childObj = parseStringWithParent(
-          inner,
-          baseDir,
-          options,
-          parentObj,
-        );
-        setVal(parentObj, key, childObj, debug);
-        currentIndex++;
-        continue;
-      }
-
-      // multi-line => key {
-      match = line.match(/^([^=:]+?)\{\s*$/);
-      if (match) {
-        const key = match[1].trim();
-        currentIndex++;
-        const childObj = {};
-        parseBlock(childObj);
-        if (lines[currentIndex] && lines[currentIndex].startsWith("}")) {
-          currentIndex++;
-        }
-        setVal(parentObj, key, childObj, debug);
-        continue;
-      }
-
-      // plus-assign => key += ...
-      match = line.match(/^(.+?)\s*\+=\s*(.+)$/);
-      if (match) {
-        const dottedKey = match[1].trim();
-        const rawVal = match[2].trim();
-        plusAssignValue(parentObj, dottedKey, rawVal);
-        currentIndex++;
-        continue;
-      }
-
-      // normal => key = ...
-      // IMPORTANT: allow newlines in the "value" => ([\s\S]+)
-      match = line.match(/^(.+?)\s*[=:]\s*([\s\S]+)$/);
-      if (match) {
-        const dottedKey = match[1].trim();
-        const rawVal = match[2].trim();
-        assignValue(parentObj, dottedKey, rawVal);
-        currentIndex++;
-        continue;
-      }
-
-      dbg(debug, "No pattern matched, skipping line");
-      currentIndex++;
-    }
-  }
-
-  // includes => optional vs required
-  function handleInclude(line, parentObj) {
-    dbg(debug, `handleInclude => ${line}`);
-    let reqMatch = line.match(/^include\s+required\("(.+)"\)$/);
-    if (reqMatch) {
-      let incFile = reqMatch[1];
-      let incPath = path.resolve(baseDir || ".", incFile);
-      if (!fs.existsSync(incPath)) {
-        throw new Error(`HOCON: Required include file missing => ${incPath}`);
-      }
-      let included = parseFile(incPath, options);
-      mergeObjs(parentObj, included, debug);
-      return;
-    }
-
-    let optMatch = line.match(/^include\s+"(.+)"$/);
-    if (optMatch) {
-      let incFile = optMatch[1];
-      let incPath = path.resolve(baseDir || ".", incFile);
-      if (!fs.existsSync(incPath)) {
-        dbg(debug, `Optional include missing => skip => ${incPath}`);
-        return;
-      }
-      let included = parseFile(incPath, options);
-      mergeObjs(parentObj, included, debug);
-      return;
-    }
-    dbg(debug, `Unknown include => ${line}`);
-  }
-
-  function assignValue(obj, dottedKey, rawVal) {
-    let newVal = parseInlineValue(rawVal, baseDir, debug, obj);
-    let existingVal = getVal(obj, dottedKey);
-    if (newVal == null && existingVal != null) {
-      dbg(debug, `Skipping null/undefined => keep old => ${dottedKey}`);
-      return;
-    }
-    // partial array => [undefined] => skip
-    if (
-      Array.isArray(newVal) &&
-      newVal.length === 1 &&
-      newVal[0] == null &&
-      Array.isArray(existingVal) &&
-      existingVal.length > 0
-    ) {
-      dbg(debug, `[undefined] => skip => ${dottedKey}`);
-      return;
-    }
-    setVal(obj, dottedKey, newVal, debug);
-  }
-
-  function plusAssignValue(obj, dottedKey, rawVal) {
-    let newVal = parseInlineValue(rawVal, baseDir, debug, obj);
-    let existingVal = getVal(obj, dottedKey);
-
-    if (existingVal === undefined) {
-      setVal(obj, dottedKey, newVal, debug);
-      return;
-    }
-    if (newVal == null) {
-      dbg(debug, `Skipping null => keep old => ${dottedKey}`);
-      return;
-    }
-    if (
-      Array.isArray(newVal) &&
-      newVal.length === 1 &&
-      newVal[0] == null &&
-      Array.isArray(existingVal) &&
-      existingVal.length > 0
-    ) {
-      dbg(debug, `[undefined] => skip => ${dottedKey}`);
-      return;
-    }
-
-    if (Array.isArray(newVal)) {
-      if (Array.isArray(existingVal)) {
-        setVal(obj, dottedKey, existingVal.concat(newVal), debug);
-      } else {
-        setVal(obj, dottedKey, newVal, debug);
-      }
-      return;
-    }
-
-    if (newVal && typeof newVal === "object" && !Array.isArray(newVal)) {
-      if (
-        existingVal &&
-        typeof existingVal === "object" &&
-        !Array.isArray(existingVal)
-      ) {
-        mergeObjs(existingVal, newVal, debug);
-      } else {
-        setVal(obj, dottedKey, newVal, debug);
-      }
-      return;
-    }
-
-    if (typeof newVal === "string") {
-      if (typeof existingVal === "string") {
-        setVal(obj, dottedKey, existingVal + newVal, debug);
-      } else {
-        setVal(obj, dottedKey, newVal, debug);
-      }
-      return;
-    }
-
-    setVal(obj, dottedKey, newVal, debug);
-  }
-
-  parseBlock(result);
+  const ast = parseSource(content, {
+    format: detectFormat(filePath, format),
+    debug,
+    strict,
+    warnings,
+    filePath,
+  });
+  const origins = trackOrigins ? new OriginTracker() : null;
+  const secrets = sensitiveRules(sensitive, schema);
+  const result = resolveAst(ast, {
+    baseDir,
+    debug,
+    overrides,
+    strict,
+    warnings,
+    filePath,
+    origins,
+    overrideSources,
+    envMatching,
+    coerceOverrides,
+    includedFiles,
+    preloaded,
+    references,
+    overlays,
+    includeRoot,
+    maxIncludeDepth,
+    lookups: lookupSettings({ resolvers, resolverCache, includeRoot }),
+    sensitive: secrets,
+  });
+  if (origins) attachOrigins(result, origins);
 
-  // apply overrides last
-  if (overrides && typeof overrides === "object") {
-    for (const [k, v] of Object.entries(overrides)) {
-      setVal(result, k, v, debug);
-    }
+  if (convertUnits) {
+    convertUnitsDeep(
+      result,
+      convertUnits === true ? { duration: "ms", bytes: true } : convertUnits,
+    );
   }
 
-  // fallback expansions => X or Y
-  resolveFallbacks(result, debug);
+  if (schema) validateConfig(result, schema, sensitive);
 
-  // references => final pass
-  const visitedPaths = new WeakSet();
-  resolveReferences(result, result, debug, visitedPaths);
-
-  dbg(debug, "Done =>", JSON.stringify(result, null, 2));
-  return result;
+  attachSensitive(result, secrets);
+  dbg(debug, "Done =>", JSON.stringify(redact(result, secrets), null, 2));
+  return asConfig ? new Config(result) : result;
 }
 
 /**
- * parseStringWithParent => parse a sub-config but referencing an existing parentObj
+ * parseAsync / parseFileAsync / parseStringAsync => same options and results
+ * as the sync versions, but files are read with fs.promises and independent
+ * includes are loaded concurrently (merge order is unchanged)
  */
-function parseStringWithParent(content, baseDir, options, parentObj) {
-  const { debug = false } = options || {};
-  let lines = preProcessHocon(content, debug);
-  lines = lines
-    .map((l) => l.trim())
-    .filter((l) => l && !l.startsWith("#") && !l.startsWith("//"));
-
-  let currentIdx = 0;
-  const subResult = {};
-
-  function parseBlock(pObj) {
-    while (currentIdx < lines.length) {
-      let line = lines[currentIdx];
-      dbg(debug, `Mini parse => ${line}`);
-
-      if (line.startsWith("}")) return;
-
-      let match = line.match(/^([^=:]+?)\{\s*(.*?)\}\s*$/);
-      if (match) {
-        const k = match[1].trim();
-        const inner = match[2].trim();
-        let cObj = parseStringWithParent(inner, baseDir, options, pObj);
-        setVal(pObj, k, cObj, debug);
-        currentIdx++;
-        continue;
-      }
-
-      match = line.match(/^([^=:]+?)\{\s*$/);
-      if (match) {
-        const k = match[1].trim();
-        currentIdx++;
-        const cObj = {};
-        parseBlock(cObj);
-        if (lines[currentIdx] && lines[currentIdx].startsWith("}")) {
-          currentIdx++;
-        }
-        setVal(pObj, k, cObj, debug);
-        continue;
-      }
-
-      match = line.match(/^(.+?)\s*\+=\s*(.+)$/);
-      if (match) {
-        const dottedKey = match[1].trim();
-        const rawVal = match[2].trim();
-        let newVal = parseInlineValue(rawVal, baseDir, debug, pObj);
-        let existingVal = getVal(pObj, dottedKey);
-        plusAssignValueMini(pObj, dottedKey, existingVal, newVal);
-        currentIdx++;
-        continue;
-      }
-
-      // again, allow newlines => ([\s\S]+)
-      match = line.match(/^(.+?)\s*[=:]\s*([\s\S]+)$/);
-      if (match) {
-        const dottedKey = match[1].trim();
-        const rawVal = match[2].trim();
-        let newVal = parseInlineValue(rawVal, baseDir, debug, pObj);
-        setVal(pObj, dottedKey, newVal, debug);
-        currentIdx++;
-        continue;
-      }
-
-      currentIdx++;
-    }
-  }
-
-  parseBlock(subResult);
-  return subResult;
+async function parseAsync(filePath, runtimeOptions = {}) {
+  return parseFileAsync(filePath, gatherOverrides(runtimeOptions));
 }
 
-function plusAssignValueMini(obj, dottedKey, existingVal, newVal) {
-  if (existingVal === undefined) {
-    setVal(obj, dottedKey, newVal);
-    return;
-  }
-  if (newVal == null) {
-    return;
-  }
-  if (Array.isArray(newVal)) {
-    if (Array.isArray(existingVal)) {
-      setVal(obj, dottedKey, existingVal.concat(newVal));
-    } else {
-      setVal(obj, dottedKey, newVal);
-    }
-    return;
-  }
-  if (newVal && typeof newVal === "object" && !Array.isArray(newVal)) {
-    if (
-      existingVal &&
-      typeof existingVal === "object" &&
-      !Array.isArray(existingVal)
-    ) {
-      mergeObjs(existingVal, newVal);
-    } else {
-      setVal(obj, dottedKey, newVal);
-    }
-    return;
-  }
-  if (typeof newVal === "string") {
-    if (typeof existingVal === "string") {
-      setVal(obj, dottedKey, existingVal + newVal);
-    } else {
-      setVal(obj, dottedKey, newVal);
-    }
-    return;
-  }
-  setVal(obj, dottedKey, newVal);
-}
-
-/**
- * parseInlineValue => parse a single line value => might have multiple tokens => partial references
- */
-function parseInlineValue(rawVal, baseDir, debug, parentObj) {
-  let val = rawVal.trim();
-
-  const braceBlocks = extractTopLevelBlocks(val, "{", "}");
-  const bracketBlocks = extractTopLevelBlocks(val, "[", "]");
-
-  if (braceBlocks.length + bracketBlocks.length > 1) {
-    return parseMultipleBlocks(val, baseDir, debug, parentObj);
-  }
-
-  if (val.startsWith("[") && val.endsWith("]")) {
-    return parseInlineArray(val, debug, parentObj);
-  }
-  if (val.startsWith("{") && val.endsWith("}")) {
-    const inner = val.slice(1, -1).trim();
-    return parseStringWithParent(inner, baseDir, { debug }, parentObj);
-  }
-
-  return parseMultipleBlocks(val, baseDir, debug, parentObj);
+async function parseFileAsync(filePath, options = {}) {
+  const absPath = path.resolve(filePath);
+  const content = await fs.promises.readFile(absPath, "utf8");
+  return parseStringAsync(content, path.dirname(absPath), {
+    ...options,
+    filePath: absPath,
+  });
 }
 
-/**
- * parseMultipleBlocks => fallback expansions (X or Y), merges, or string concat
- */
-function parseMultipleBlocks(line, baseDir, debug, parentObj) {
-  dbg(debug, `parseMultipleBlocks => ${line}`);
-  let tokens = tokenizeLine(line, debug);
-
-  if (tokens.length === 3 && tokens[1].toLowerCase() === "or") {
-    let mainVal = parseSingleToken(tokens[0], baseDir, debug, parentObj);
-    let fbVal = parseSingleToken(tokens[2], baseDir, debug, parentObj);
-    return { __type: "FALLBACK", main: mainVal, fallback: fbVal };
-  }
-
-  if (tokens.length === 1) {
-    return parseSingleToken(tokens[0], baseDir, debug, parentObj);
-  }
-
-  let parsedList = tokens.map((t) =>
-    parseSingleToken(t, baseDir, debug, parentObj),
-  );
-
-  // partial reference resolution => if parentObj has it
-  parsedList = parsedList.map((v) => {
-    if (v && typeof v === "object" && v.__type === "REF" && v.path) {
-      let partial = getVal(parentObj || {}, v.path);
-      if (partial !== undefined) {
-        return deepClone(partial);
-      }
-    }
-    return v;
+async function parseStringAsync(content, baseDir, options = {}) {
+  const references = options.referenceConf
+    ? await findReferenceConfsAsync(baseDir)
+    : [];
+  // only HOCON includes other files
+  const hocon = detectFormat(options.filePath, options.format) === "hocon";
+  // async resolvers are awaited here, so parseString finds them all cached
+  const resolverCache = options.resolverCache || new Map();
+  const preloaded = await preloadIncludes(hocon ? content : "", baseDir, {
+    extraFiles: [...references, ...(options.overlays || [])],
+    includeRoot: options.includeRoot,
+    lookups: lookupSettings({
+      resolvers: options.resolvers,
+      resolverCache,
+      includeRoot: options.includeRoot,
+    }),
+  });
+  return parseString(content, baseDir, {
+    ...options,
+    preloaded,
+    references,
+    resolverCache,
   });
-
-  // if all arrays => merge
-  if (parsedList.every((x) => Array.isArray(x))) {
-    return parsedList.reduce((acc, arr) => acc.concat(arr), []);
-  }
-  // if all objects => merge
-  if (
-    parsedList.every(
-      (x) =>
-        x && typeof x === "object" && !Array.isArray(x) && x.__type !== "REF",
-    )
-  ) {
-    let mergedObj = {};
-    for (const objVal of parsedList) {
-      mergeObjs(mergedObj, objVal, debug);
-    }
-    return mergedObj;
-  }
-
-  // else => string concat
-  return parsedList
-    .map((x) => {
-      if (x && typeof x === "object" && x.__type === "REF") {
-        return x.path; // fallback => path
-      }
-      return x == null ? "" : String(x);
-    })
-    .join(" ")
-    .trim();
 }
 
 /**
- * parseSingleToken => bracket => array, brace => object, else => references/typed expansions
+ * generateTypes(filePath, [options]):
+ *   parseFile(...) and infer a TypeScript interface (.d.ts source) from the
+ *   resolved structure. options.name => interface name (default "Config"),
+ *   everything else goes to parseFile.
  */
-function parseSingleToken(token, baseDir, debug, parentObj) {
-  if (token.startsWith("[") && token.endsWith("]")) {
-    return parseInlineArray(token, debug, parentObj);
-  }
-  if (token.startsWith("{") && token.endsWith("}")) {
-    const inner = token.slice(1, -1).trim();
-    return parseStringWithParent(inner, baseDir, { debug }, parentObj);
-  }
-  return resolveEnvOrRef(token, debug);
+function generateTypes(filePath, options = {}) {
+  const { name = "Config", ...parseOptions } = options;
+  const config = parseFile(filePath, { ...parseOptions, asConfig: false });
+  return toTypeScript(config, { name, source: path.basename(filePath) });
 }
 
-/**
- * tokenizeLine => recognizes quoted strings as single tokens
- */
-function tokenizeLine(line, debug) {
-  // Remove inline comments starting with '#'
-  const hashIndex = line.indexOf("#");
-  if (hashIndex >= 0) {
-    line = line.slice(0, hashIndex).trim();
-  }
-
-  const tokens = [];
-  let i = 0;
-  const len = line.length;
-
-  while (i < len) {
-    // skip any leading whitespace
-    while (i < len && /\s/.test(line[i])) i++;
-    if (i >= len) break;
-
-    const ch = line[i];
-
-    // 1) If we see an opening bracket/brace at top-level
-    if (ch === "[" || ch === "{") {
-      const close = ch === "[" ? "]" : "}";
-      let start = i;
-      i++;
-      let depth = 1;
-      while (i < len && depth > 0) {
-        if (line[i] === ch) depth++;
-        else if (line[i] === close) depth--;
-        i++;
-      }
-      tokens.push(line.slice(start, i).trim());
-      continue;
-    }
-
-    // 2) If we see a reference:  ${
-    if (ch === "$" && i + 1 < len && line[i + 1] === "{") {
-      let start = i;
-      i += 2; // skip '${'
-      while (i < len && line[i] !== "}") {
-        i++;
-      }
-      if (i < len && line[i] === "}") i++; // skip '}'
-      tokens.push(line.slice(start, i).trim());
-      continue;
-    }
-
-    // 3) If we see a quoted string, gather until the matching quote
-    if (ch === "'" || ch === '"') {
-      const quoteChar = ch;
-      let start = i;
-      i++; // skip the opening quote
-      while (i < len && line[i] !== quoteChar) {
-        i++;
-      }
-      if (i < len && line[i] === quoteChar) i++; // skip closing quote
-      tokens.push(line.slice(start, i));
-      continue;
-    }
-
-    // 4) Otherwise gather an unquoted "word"
-    let start = i;
-    while (
-      i < len &&
-      !/\s/.test(line[i]) &&
-      line[i] !== "[" &&
-      line[i] !== "]" &&
-      line[i] !== "{" &&
-      line[i] !== "}" &&
-      !(line[i] === "$" && i + 1 < len && line[i + 1] === "{") &&
-      line[i] !== "'" &&
-      line[i] !== '"'
-    ) {
-      i++;
-    }
-
-    const word = line.slice(start, i).trim();
-    if (word) {
-      tokens.push(word);
-    }
-  }
-
-  dbg(debug, "tokenizeLine =>", tokens);
-  return tokens;
-}
+const DEFAULT_LAYERS = [
+  "reference.conf",
+  "application.conf",
+  "application.{profile}.conf",
+  "application.local.conf",
+];
 
 /**
- * parseInlineArray => "[10,20]" => typed expansions
+ * loadConfig([options]) => an application's config from its usual layers,
+ * lowest precedence first:
+ *
+ *   1. every dependency's reference.conf (with referenceConf: true)
+ *   2. <dir>/reference.conf
+ *   3. <dir>/application.conf
+ *   4. <dir>/application.<profile>.conf   (profile defaults to NODE_ENV)
+ *   5. <dir>/application.local.conf
+ *   6. environment variables, 7. argv, 8. options.overrides (as in parse())
+ *
+ * Missing files are skipped. All layers are evaluated as one document, so
+ * substitutions resolve across them at the end: application.conf may refer
+ * to a value only the profile file sets.
+ *
+ *   dir => where the files are (default process.cwd())
+ *   files => replaces the file list; "{profile}" is filled in, and entries
+ *     using it are skipped when there's no profile
+ *   layers: [] => receives { name, file, found } for every file layer
+ *   everything else => parse() options
  */
-function parseInlineArray(arrStr, debug, parentObj) {
-  dbg(debug, `parseInlineArray => ${arrStr}`);
-  const inner = arrStr.slice(1, -1).trim();
-  if (!inner) return [];
-  let items = inner
-    .split(/[\s,]+/)
-    .map((s) => s.trim())
-    .filter(Boolean);
-  let out = items
-    .map((it) => resolveEnvOrRef(it, debug))
-    .map((val) => {
-      if (
-        val &&
-        typeof val === "object" &&
-        val.__type === "REF" &&
-        val.path &&
-        parentObj
-      ) {
-        let partial = getVal(parentObj, val.path);
-        if (partial !== undefined) return deepClone(partial);
-      }
-      return val;
-    });
-  return out;
+function loadConfig(options = {}) {
+  const {
+    dir = process.cwd(),
+    profile = process.env.NODE_ENV || null,
+    files = DEFAULT_LAYERS,
+    layers = null,
+    ...runtimeOptions
+  } = options;
+  if (profile && !/^[\w.-]+$/.test(profile)) {
+    throw new Error(`HOCON: Invalid profile => ${profile}`);
+  }
+  const baseDir = path.resolve(dir);
+  const found = [];
+  for (const name of files) {
+    if (name.includes("{profile}") && !profile) continue;
+    const layerName = name.replace(/\{profile\}/g, profile);
+    const file = path.resolve(baseDir, layerName);
+    const exists = fs.existsSync(file);
+    dbg(
+      runtimeOptions.debug,
+      `loadConfig => ${layerName} ${exists ? "found" : "missing"}`,
+    );
+    if (layers) layers.push({ name: layerName, file, found: exists });
+    if (exists) found.push(file);
+  }
+
+  const parseOptions = gatherOverrides(runtimeOptions);
+  const references = parseOptions.referenceConf
+    ? findReferenceConfs(baseDir)
+    : [];
+  return parseString("", baseDir, {
+    ...parseOptions,
+    references: [...references, ...found],
+  });
 }
 
 /**
- * typed expansions => booleans, null, numeric => keep "2.0" if parse =>2
- * remove single/double quotes once, then triple quotes if any
+ * watch(filePath, [options], [onChange]):
+ *   parse(...) now, then again whenever filePath or any of its includes
+ *   changes. Returns a ConfigWatcher (see watch.js): .config, .close(),
+ *   "change" (config, changes, previous) and "error" (err) events.
+ *   options => parse() options, plus debounce / interval in ms
  */
-function resolveEnvOrRef(raw, debug) {
-  dbg(debug, `resolveEnvOrRef => ${raw}`);
-
-  // step 1) remove single or double quotes if present
-  let out = removeOuterQuotes(raw);
-  let wasQuoted = out.removed;
-  let text = out.text;
-
-  // step 2) if text starts/ends with triple quotes => remove them => interpret as multiline
-  // (In this approach, we've already flattened triple quotes into real \n lines.)
-  if (text.startsWith('"""') && text.endsWith('"""')) {
-    return text.slice(3, -3);
-  }
-
-  // step 3) references => ?VAR, ${?VAR}, ${some.path}, typed expansions
-  let m = text.match(/^\?([\w_]+)$/);
-  if (m) {
-    let envVar = safeEnvLookup(m[1], debug);
-    return wasQuoted
-      ? envVar == null
-        ? envVar
-        : String(envVar)
-      : maybeConvertPrimitive(envVar, debug);
-  }
-  // ${?VAR}
-  m = text.match(/^\$\{\?([\w_]+)\}$/);
-  if (m) {
-    let envVar = safeEnvLookup(m[1], debug);
-    return wasQuoted
-      ? envVar == null
-        ? envVar
-        : String(envVar)
-      : maybeConvertPrimitive(envVar, debug);
-  }
-  // normal ref => ${some.path}
-  m = text.match(/^\$\{([\w.\-_]+)\}$/);
-  if (m) {
-    return { __type: "REF", path: m[1] };
-  }
-
-  // if wasQuoted => final is string
-  if (wasQuoted) {
-    return text;
-  }
-  // else => typed expansions
-  return maybeConvertPrimitive(text, debug);
+function watch(filePath, options = {}, onChange = null) {
+  if (typeof options === "function") {
+    onChange = options;
+    options = {};
+  }
+  const watcher = new ConfigWatcher(filePath, options, parse);
+  if (onChange) watcher.on("change", onChange);
+  return watcher;
 }
 
-/**
- * removeOuterQuotes => remove single or double quotes if raw starts/ends with them
- */
-function removeOuterQuotes(raw) {
-  if (!raw || raw.length < 2) return { text: raw, removed: false };
-  let s = raw;
-  if (
-    (s.startsWith('"') && s.endsWith('"')) ||
-    (s.startsWith("'") && s.endsWith("'"))
-  ) {
-    s = s.slice(1, -1);
-    return { text: s, removed: true };
+// environment & CLI overrides
+function buildEnvMap(env, prefix, sources = {}, file = null) {
+  const map = {};
+  for (const [key, val] of Object.entries(env)) {
+    if (prefix && !key.startsWith(prefix)) continue;
+    const dotted = envKeyToPath(prefix ? key.slice(prefix.length) : key);
+    // `_` (set by the shell) and the like name no path at all
+    if (!dotted.split(".").some(Boolean)) continue;
+    map[dotted] = envValue(val);
+    sources[dotted] = file
+      ? { source: "env", env: key, file }
+      : { source: "env", env: key };
   }
-  return { text: raw, removed: false };
+  return map;
 }
 
-/**
- * safeEnvLookup => remove outer quotes from env var
- */
-function safeEnvLookup(key, debug) {
-  let val = process.env[key];
-  if (val == null) return val;
-  let out = removeOuterQuotes(val);
-  if (out.removed) {
-    dbg(debug, `stripped env quotes => was=${val}, now=${out.text}`);
-    return out.text;
+// '[1, 2]' / '{"a": 1}' => the array / object; anything else stays a string
+function envValue(val) {
+  if (typeof val !== "string" || !/^\s*[[{]/.test(val)) return val;
+  try {
+    return JSON.parse(val);
+  } catch (err) {
+    return val;
   }
-  return val;
 }
 
 /**
- * maybeConvertPrimitive => parse booleans, null, numeric => keep "2.0" if parse =>2
+ * buildArgMap(args, [sources], [configFiles]) => { "dotted.key": value } from
+ *   --key=value, --key value, --flag (true), --no-flag (false) and JVM-style
+ *   -Dkey=value. A repeated key collects its values into an array, and a
+ *   `{...}` / `[...]` value is read as HOCON (--db='{host=x,port=1}').
+ *   --config-file=extra.conf goes into configFiles instead. Anything else,
+ *   and everything after a lone "--", is skipped.
  */
-function maybeConvertPrimitive(str, debug) {
-  if (str == null) return str;
-  const raw = String(str).trim();
-
-  // Use /.../i for case-insensitive
-  if (/^true$/i.test(raw)) return true;
-  if (/^false$/i.test(raw)) return false;
-  if (/^null$/i.test(raw)) return null;
-
-  // numeric check stays the same
-  if (/^[+-]?\d+(\.\d+)?$/.test(raw)) {
-    let num = parseFloat(raw);
-    if (!Number.isNaN(num)) {
-      if (raw.includes(".") && Number.isInteger(num)) {
-        dbg(debug, `preserve "2.0" => not 2 => keep string => ${raw}`);
-        return raw;
-      }
-      return num;
-    }
-  }
-  return raw;
-}
-
-// fallback expansions => X or Y
-function resolveFallbacks(node, debug) {
-  if (Array.isArray(node)) {
-    for (let i = 0; i < node.length; i++) {
-      node[i] = resolveFallbacks(node[i], debug);
-    }
-    return node;
-  }
-  if (node && typeof node === "object") {
-    if (node.__type === "FALLBACK") {
-      let mainVal = resolveFallbacks(node.main, debug);
-      let fbVal = resolveFallbacks(node.fallback, debug);
-      return mainVal == null ? fbVal : mainVal;
-    }
-    for (const k of Object.keys(node)) {
-      node[k] = resolveFallbacks(node[k], debug);
-    }
-  }
-  return node;
-}
-
-// references => ${some.path}, cycle detection
-function resolveReferences(configRoot, node, debug, visited) {
-  if (Array.isArray(node)) {
-    for (let i = 0; i < node.length; i++) {
-      node[i] = resolveReferences(configRoot, node[i], debug, visited);
-    }
-    return node;
-  }
-  if (node && typeof node === "object") {
-    if (visited.has(node)) {
-      dbg(debug, `cycle => skip`, node);
-      return node;
-    }
-    visited.add(node);
-
-    if (node.__type === "REF" && node.path) {
-      let val = getVal(configRoot, node.path);
-      if (val === undefined) return undefined;
-      let cloned = deepClone(val);
-      return resolveReferences(configRoot, cloned, debug, visited);
-    }
-
-    for (const k of Object.keys(node)) {
-      node[k] = resolveReferences(configRoot, node[k], debug, visited);
+function buildArgMap(args, sources = {}, configFiles = []) {
+  const map = {};
+  const collected = new Set();
+  // a collected value is typed here: in the array it's no longer raw text
+  const typed = (val) =>
+    typeof val === "string" ? maybeConvertPrimitive(val) : val;
+  const add = (key, val, arg) => {
+    if (key === "config-file") {
+      if (typeof val === "string") configFiles.push(val);
+      return;
     }
-    return node;
-  }
-  return node;
-}
-
-// merges, setVal, getVal
-function mergeObjs(target, source, debug) {
-  if (!source || typeof source !== "object" || Array.isArray(source)) {
-    return source;
-  }
-  for (const [k, v] of Object.entries(source)) {
-    if (
-      v &&
-      typeof v === "object" &&
-      !Array.isArray(v) &&
-      target[k] &&
-      typeof target[k] === "object" &&
-      !Array.isArray(target[k])
-    ) {
-      mergeObjs(target[k], v, debug);
-    } else if (Array.isArray(v) && Array.isArray(target[k])) {
-      if (v.length === 1 && v[0] == null) {
-        // partial skip
-      } else if (v.length === 1 && v[0] !== undefined) {
-        target[k][0] = v[0];
-      } else {
-        target[k] = v;
-      }
+    if (collected.has(key)) {
+      map[key] = map[key].concat(typed(val));
+    } else if (key in map) {
+      map[key] = [].concat(typed(map[key]), typed(val));
+      collected.add(key);
     } else {
-      target[k] = v;
-    }
-  }
-  return target;
-}
-function setVal(obj, dottedKey, value, debug) {
-  let parts = dottedKey.split(".").filter((p) => p.length > 0);
-  if (!parts.length) return;
-  let cur = obj;
-  for (let i = 0; i < parts.length - 1; i++) {
-    let p = parts[i];
-    if (!cur[p] || typeof cur[p] !== "object") {
-      cur[p] = {};
-    }
-    cur = cur[p];
-  }
-  cur[parts[parts.length - 1]] = value;
-}
-function getVal(obj, dottedKey) {
-  let parts = dottedKey.split(".");
-  let c = obj;
-  for (const p of parts) {
-    if (!c || typeof c !== "object") return undefined;
-    c = c[p];
-  }
-  return c;
-}
-
-function dbg(flag, ...args) {
-  if (flag) console.debug(...args);
-}
-function deepClone(x) {
-  if (Array.isArray(x)) {
-    return x.map(deepClone);
-  }
-  if (x && typeof x === "object") {
-    let copy = {};
-    for (const [k, v] of Object.entries(x)) {
-      copy[k] = deepClone(v);
-    }
-    return copy;
-  }
-  return x;
-}
-
-/**
- * preProcessHocon => convert triple-quoted text into a single line with \n
- */
-function preProcessHocon(content, debug) {
-  let rawLines = content.split("\n");
-  let out = [];
-  let i = 0;
-
-  while (i < rawLines.length) {
-    let line = rawLines[i];
-    i++;
-
-    // Detect start of triple quotes
-    if (line.includes('"""')) {
-      let tripleStart = line.indexOf('"""');
-      // Everything before '"""' is a prefix (e.g. key = )
-      let prefix = line.slice(0, tripleStart);
-
-      // Gather lines (including current one after the quotes)
-      let buffer = [];
-      // The remainder of this first line *after* the triple quotes
-      let remainder = line.slice(tripleStart + 3);
-
-      buffer.push(remainder);
-      let foundEnd = remainder.includes('"""');
-
-      // Keep reading subsequent lines until we find another '"""'
-      while (!foundEnd && i < rawLines.length) {
-        let nextLine = rawLines[i];
-        i++;
-        buffer.push(nextLine);
-        if (nextLine.includes('"""')) {
-          foundEnd = true;
-        }
-      }
-
-      // The last line might also contain the closing """
-      // remove everything after that
-      let lastLine = buffer[buffer.length - 1];
-      let closeIdx = lastLine.indexOf('"""');
-      if (closeIdx >= 0) {
-        buffer[buffer.length - 1] = lastLine.slice(0, closeIdx);
-      }
-
-      // Join all buffered lines with a real newline
-      const joined = buffer.join("\n");
-      // Convert it into a normal quoted string => "Hello\nstuff"
-      // We can safely JSON.stringify so that internal quotes get escaped
-      const quoted = JSON.stringify(joined);
-
-      // Build the final single line
-      const newLine = prefix + quoted;
-      out.push(newLine);
-      continue;
-    }
-
-    // Multi-line arrays: if line contains '[' but not ends with ']'
-    if (line.includes("[") && !line.trim().endsWith("]")) {
-      let merged = line;
-      let bracketFound = line.includes("]");
-      while (!bracketFound && i < rawLines.length) {
-        merged += rawLines[i];
-        if (rawLines[i].includes("]")) {
-          bracketFound = true;
-        }
-        i++;
-      }
-      out.push(merged);
+      map[key] = val;
+    }
+    sources[key] = { source: "argv", arg };
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--") break;
+    const jvm = arg.match(/^-D([^=]+)(?:=([^]*))?$/);
+    if (jvm) {
+      add(jvm[1], argValue(jvm[2] ?? ""), arg);
       continue;
     }
-
-    out.push(line);
-  }
-
-  dbg(debug, "preProcess => final lines:\n", out.join("\n"));
-  return out;
-}
-
-function extractTopLevelBlocks(str, startChar, endChar) {
-  let blocks = [];
-  let depth = 0;
-  let startIndex = -1;
-  for (let i = 0; i < str.length; i++) {
-    if (str[i] === startChar) {
-      if (depth === 0) startIndex = i;
-      depth++;
-    } else if (str[i] === endChar) {
-      depth--;
-      if (depth === 0 && startIndex !== -1) {
-        blocks.push(str.slice(startIndex, i + 1));
-        startIndex = -1;
-      }
-    }
-  }
-  return blocks;
-}
-
-// environment & CLI overrides
-function buildEnvMap(env, prefix) {
-  const map = {};
-  for (const [key, val] of Object.entries(env)) {
-    if (prefix) {
-      if (!key.startsWith(prefix)) continue;
-      const stripped = key.slice(prefix.length);
-      map[stripped.replace(/_/g, ".")] = val;
+    const m = arg.match(/^--([^=]+)(?:=([^]*))?$/);
+    if (!m) continue;
+    const [, key, inline] = m;
+    const next = args[i + 1];
+    if (inline !== undefined) {
+      add(key, argValue(inline), arg);
+    } else if (key.startsWith("no-")) {
+      add(key.slice(3), false, arg);
+    } else if (
+      next !== undefined &&
+      next !== "--" &&
+      !/^-[A-Za-z-]/.test(next)
+    ) {
+      add(key, argValue(next), `${arg} ${next}`);
+      i++;
     } else {
-      map[key.replace(/_/g, ".")] = val;
+      add(key, true, arg);
     }
   }
   return map;
 }
-function buildArgMap(args) {
-  const map = {};
-  for (const arg of args) {
-    if (!arg.startsWith("--")) continue;
-    const eqIdx = arg.indexOf("=");
-    if (eqIdx < 2) continue;
-    const dottedKey = arg.slice(2, eqIdx);
-    const val = arg.slice(eqIdx + 1);
-    map[dottedKey] = val;
+
+// `{...}` / `[...]` => the HOCON object / array; anything else stays a string
+function argValue(val) {
+  if (!/^\s*[[{]/.test(val)) return val;
+  try {
+    return parseString(`value = ${val}`, process.cwd()).value;
+  } catch (err) {
+    return val;
   }
-  return map;
 }
 
 module.exports = {
   parse,
+  loadConfig,
   parseFile,
   parseString,
+  parseAsync,
+  parseFileAsync,
+  parseStringAsync,
+  generateTypes,
+  watch,
+  diffConfigs,
+  stringify,
+  Config,
+  HoconParseError,
+  ConfigError,
+  SchemaValidationError,
+  validateConfig,
+  parseDuration,
+  parseBytes,
 };
@@ -0,0 +1,276 @@
+/**
+ * lexer.js => turns HOCON text into a flat list of positioned tokens.
+ *
+ * Whitespace and newlines are kept as tokens because HOCON gives them meaning
+ * (newlines separate fields, whitespace is part of value concatenations).
+ * Comments (# and //) are dropped here and never reach the parser; `//` right
+ * after `word:` (an unquoted URL) is reported, since it cuts the value short.
+ */
+
+const { makeReporter } = require("./errors");
+const { dbg } = require("./utils");
+
+const T = Object.freeze({
+  LBRACE: "LBRACE",
+  RBRACE: "RBRACE",
+  LBRACKET: "LBRACKET",
+  RBRACKET: "RBRACKET",
+  COMMA: "COMMA",
+  SEPARATOR: "SEPARATOR", // '=' or ':'
+  PLUS_EQUALS: "PLUS_EQUALS",
+  NEWLINE: "NEWLINE",
+  WHITESPACE: "WHITESPACE",
+  UNQUOTED: "UNQUOTED",
+  QUOTED: "QUOTED",
+  SUBSTITUTION: "SUBSTITUTION",
+  EOF: "EOF",
+});
+
+const PUNCTUATION = {
+  "{": T.LBRACE,
+  "}": T.RBRACE,
+  "[": T.LBRACKET,
+  "]": T.RBRACKET,
+  ",": T.COMMA,
+  "=": T.SEPARATOR,
+  ":": T.SEPARATOR,
+};
+
+const ESCAPES = {
+  '"': '"',
+  "\\": "\\",
+  "/": "/",
+  b: "\b",
+  f: "\f",
+  n: "\n",
+  r: "\r",
+  t: "\t",
+};
+
+function isWhitespace(ch) {
+  return ch !== "\n" && /\s/.test(ch);
+}
+
+/**
+ * tokenize(content, [options]) => Token[]
+ *   Every token carries { type, value, line, col, offset } (line/col are 1-based).
+ *   QUOTED tokens also carry `quote` ('"', "'" or '"""'),
+ *   SUBSTITUTION tokens carry `expr` (raw text inside ${...}) and `optional`.
+ *   Unterminated strings / substitutions are reported through errors.js
+ *   (thrown by default, collected as warnings with strict: false).
+ */
+function tokenize(content, options = {}) {
+  const { debug = false } = options;
+  const report = makeReporter(options, content);
+  const tokens = [];
+  const len = content.length;
+  let i = 0;
+  let line = 1;
+  let col = 1;
+
+  function advance(n) {
+    for (let k = 0; k < n && i < len; k++) {
+      if (content[i] === "\n") {
+        line++;
+        col = 1;
+      } else {
+        col++;
+      }
+      i++;
+    }
+  }
+
+  function push(type, value, start, extra) {
+    tokens.push({ type, value, ...start, ...extra });
+  }
+
+  while (i < len) {
+    const ch = content[i];
+    const start = { line, col, offset: i };
+
+    if (ch === "\n") {
+      advance(1);
+      push(T.NEWLINE, "\n", start);
+      continue;
+    }
+
+    if (isWhitespace(ch)) {
+      let j = i;
+      while (j < len && isWhitespace(content[j])) j++;
+      const ws = content.slice(i, j);
+      advance(j - i);
+      push(T.WHITESPACE, ws, start);
+      continue;
+    }
+
+    // comments => up to (not including) the newline
+    if (ch === "#" || (ch === "/" && content[i + 1] === "/")) {
+      if (ch === "/" && followsScheme(i)) {
+        report(
+          "'//' right after ':' starts a comment here; quote the value (\"http://...\")",
+          start,
+        );
+      }
+      while (i < len && content[i] !== "\n") advance(1);
+      continue;
+    }
+
+    if (ch === "+" && content[i + 1] === "=") {
+      advance(2);
+      push(T.PLUS_EQUALS, "+=", start);
+      continue;
+    }
+
+    if (PUNCTUATION[ch]) {
+      advance(1);
+      push(PUNCTUATION[ch], ch, start);
+      continue;
+    }
+
+    if (content.startsWith('"""', i)) {
+      push(T.QUOTED, readTripleQuoted(start), start, { quote: '"""' });
+      continue;
+    }
+
+    if (ch === '"') {
+      push(T.QUOTED, readQuoted(start), start, { quote: '"' });
+      continue;
+    }
+
+    // single quotes are a local extension, only honoured when they close on the same line
+    if (ch === "'" && hasClosingOnLine("'", i + 1)) {
+      const close = content.indexOf("'", i + 1);
+      const text = content.slice(i + 1, close);
+      advance(close + 1 - i);
+      push(T.QUOTED, text, start, { quote: "'" });
+      continue;
+    }
+
+    if (ch === "$" && content[i + 1] === "{") {
+      const { value, expr, optional } = readSubstitution(start);
+      push(T.SUBSTITUTION, value, start, { expr, optional });
+      continue;
+    }
+
+    push(T.UNQUOTED, readUnquoted(), start);
+  }
+
+  tokens.push({ type: T.EOF, value: "", line, col, offset: i });
+  dbg(debug, `tokenize => ${tokens.length} tokens`);
+  return tokens;
+
+  // `url = http://host` unquoted => `//host` is a comment, leaving "http:"
+  function followsScheme(at) {
+    const [word, sep] = tokens.slice(-2);
+    return Boolean(
+      sep &&
+      sep.value === ":" &&
+      sep.offset === at - 1 &&
+      word.type === T.UNQUOTED &&
+      word.offset + word.value.length === sep.offset,
+    );
+  }
+
+  function hasClosingOnLine(quote, from) {
+    for (let j = from; j < len && content[j] !== "\n"; j++) {
+      if (content[j] === quote) return true;
+    }
+    return false;
+  }
+
+  function readTripleQuoted(start) {
+    advance(3);
+    let close = content.indexOf('"""', i);
+    if (close < 0) {
+      report('Unterminated """ string', start);
+      close = len;
+    }
+    // extra quotes right before the closing triple belong to the string
+    while (content[close + 3] === '"') close++;
+    const text = content.slice(i, close);
+    advance(close + 3 - i);
+    return text;
+  }
+
+  function readQuoted(start) {
+    advance(1);
+    let out = "";
+    while (i < len && content[i] !== '"' && content[i] !== "\n") {
+      if (content[i] === "\\" && i + 1 < len) {
+        const esc = content[i + 1];
+        if (
+          esc === "u" &&
+          /^[0-9a-fA-F]{4}$/.test(content.slice(i + 2, i + 6))
+        ) {
+          out += String.fromCharCode(parseInt(content.slice(i + 2, i + 6), 16));
+          advance(6);
+          continue;
+        }
+        out += ESCAPES[esc] !== undefined ? ESCAPES[esc] : esc;
+        advance(2);
+        continue;
+      }
+      out += content[i];
+      advance(1);
+    }
+    if (content[i] === '"') {
+      advance(1);
+    } else {
+      report("Unterminated quoted string", start);
+    }
+    return out;
+  }
+
+  function readSubstitution(start) {
+    advance(2);
+    let optional = false;
+    if (content[i] === "?") {
+      optional = true;
+      advance(1);
+    }
+    let expr = "";
+    while (i < len && content[i] !== "}" && content[i] !== "\n") {
+      if (content[i] === '"') {
+        const qStart = i;
+        advance(1);
+        while (i < len && content[i] !== '"' && content[i] !== "\n") {
+          advance(content[i] === "\\" ? 2 : 1);
+        }
+        advance(1);
+        expr += content.slice(qStart, i);
+        continue;
+      }
+      expr += content[i];
+      advance(1);
+    }
+    if (content[i] === "}") {
+      advance(1);
+    } else {
+      report("Unterminated substitution, expected '}'", start);
+    }
+    const value = `\${${optional ? "?" : ""}${expr}}`;
+    return { value, expr: expr.trim(), optional };
+  }
+
+  function readUnquoted() {
+    let j = i;
+    while (j < len) {
+      const c = content[j];
+      if (c === "\n" || isWhitespace(c) || PUNCTUATION[c] || c === '"') break;
+      if (c === "#" || (c === "/" && content[j + 1] === "/")) break;
+      if (c === "$" && content[j + 1] === "{") break;
+      if (c === "+" && content[j + 1] === "=") break;
+      j++;
+    }
+    // always make progress, even on a lone character we can't classify
+    if (j === i) j = i + 1;
+    const text = content.slice(i, j);
+    advance(j - i);
+    return text;
+  }
+}
+
+module.exports = {
+  T,
+  tokenize,
+};
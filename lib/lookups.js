@@ -0,0 +1,157 @@
+/**
+ * lookups.js => `${scheme:argument}` substitutions, read through a resolver
+ * function instead of the config tree:
+ *
+ *   ${file:/run/secrets/db_password}  the file's text (relative paths from the
+ *                                     including file; one trailing newline dropped;
+ *                                     inside options.includeRoot if set)
+ *   ${env:DB_HOST}                    an environment variable, typed like ${DB_HOST}
+ *   ${vault:db/password}              options.resolvers.vault("db/password", info)
+ *
+ * A resolver gets (argument, { scheme, baseDir, includeRoot }) and returns the
+ * value, or undefined / null when there is none: that throws unless the
+ * substitution is optional (${?vault:x}, or X in `X or Y`). Values are used as returned, so a
+ * file's text stays a string. An async resolver (returning a promise) needs
+ * parseAsync / parseFileAsync / parseStringAsync, which read every lookup up
+ * front (preloadLookups); the sync functions throw on one.
+ *
+ * Like ${path}, a lookup is read in the resolver's final pass, and only if
+ * its value is still in the config: one replaced by a later definition, an
+ * env var or a CLI argument never runs (a dev override of a prod secret file).
+ * Each is read once per scheme and argument for each parse (or for as long as
+ * an options.resolverCache Map handed in is kept).
+ */
+const fs = require("fs");
+const path = require("path");
+const { collectNodes } = require("./parser");
+const {
+  safeEnvLookup,
+  maybeConvertPrimitive,
+  realPath,
+  isWithin,
+} = require("./utils");
+
+const BUILTIN_RESOLVERS = {
+  env: (name) => maybeConvertPrimitive(safeEnvLookup(name)),
+  file: readFileValue,
+};
+
+function readFileValue(file, { baseDir, includeRoot }) {
+  const target = path.resolve(baseDir || "", file);
+  // the same rule as includes: symlinks resolved, then compared
+  if (includeRoot && !isWithin(realPath(includeRoot), realPath(target))) {
+    throw new Error(`outside includeRoot (${includeRoot}) => ${target}`);
+  }
+  try {
+    return fs.readFileSync(target, "utf8").replace(/\r?\n$/, "");
+  } catch (err) {
+    if (err.code === "ENOENT") return undefined;
+    throw err;
+  }
+}
+
+/**
+ * lookupSettings({ resolvers, resolverCache, includeRoot }) => { resolvers,
+ * cache, includeRoot } for one parse; options.resolvers go on top of the
+ * built-in ones (null removes one)
+ */
+function lookupSettings({
+  resolvers = null,
+  resolverCache = null,
+  includeRoot = null,
+} = {}) {
+  return {
+    resolvers: { ...BUILTIN_RESOLVERS, ...resolvers },
+    cache: resolverCache || new Map(),
+    includeRoot: includeRoot && path.resolve(includeRoot),
+  };
+}
+
+/**
+ * lookup(node, ctx, [optional]) => the value of a ${scheme:argument}
+ * Substitution node, from ctx.lookups (see lookupSettings);
+ * ctx => { lookups, filePath, baseDir }
+ */
+function lookup(node, ctx, optional = false) {
+  const { resolvers, cache, includeRoot } = ctx.lookups;
+  const ref = `\${${node.optional ? "?" : ""}${node.expr.trim()}}`;
+  const where = `${ctx.filePath || "<string>"}:${node.line}:${node.col}`;
+  const resolve = resolvers[node.scheme];
+  if (typeof resolve !== "function") {
+    throw new Error(
+      `HOCON: Unknown substitution scheme '${node.scheme}' => ${ref} (${where})`,
+    );
+  }
+  const info = { scheme: node.scheme, baseDir: ctx.baseDir, includeRoot };
+  const key = cacheKey(node, info);
+  if (!cache.has(key)) cache.set(key, callResolver(resolve, node, info));
+  const entry = cache.get(key);
+  if (entry.promise) {
+    cache.delete(key);
+    entry.promise.catch(() => {}); // nobody is waiting for it
+    throw new Error(
+      `HOCON: Resolver '${node.scheme}' returned a promise => use parseAsync / parseFileAsync / parseStringAsync (${ref}, ${where})`,
+    );
+  }
+  if (entry.error) {
+    throw new Error(
+      `HOCON: Lookup failed => ${ref} (${where}): ${entry.error.message}`,
+      { cause: entry.error },
+    );
+  }
+  if (entry.value != null) return entry.value;
+  if (optional || node.optional) return undefined;
+  throw new Error(`HOCON: Could not resolve substitution ${ref} (${where})`);
+}
+
+/**
+ * preloadLookups(ast, baseDir, lookups) => every ${scheme:argument} in the
+ * document resolved concurrently into lookups.cache, so that the (sync)
+ * evaluation after it finds async resolvers' values there
+ */
+async function preloadLookups(ast, baseDir, { resolvers, cache, includeRoot }) {
+  const isLookup = (node) => node.type === "Substitution" && node.scheme;
+  await Promise.all(
+    collectNodes(ast, isLookup).map(async (node) => {
+      const resolve = resolvers[node.scheme];
+      if (typeof resolve !== "function") return; // reported when evaluated
+      const info = { scheme: node.scheme, baseDir, includeRoot };
+      const key = cacheKey(node, info);
+      if (!cache.has(key)) cache.set(key, callResolver(resolve, node, info));
+      const { promise } = cache.get(key);
+      if (promise) {
+        cache.set(
+          key,
+          await promise.then(
+            (value) => ({ value }),
+            (error) => ({ error }),
+          ),
+        );
+      }
+    }),
+  );
+}
+
+// relative file paths depend on where they're written, what's allowed on
+// includeRoot
+function cacheKey(node, { baseDir, includeRoot }) {
+  return [node.scheme, baseDir || "", includeRoot || "", node.arg].join("\0");
+}
+
+// => { value } | { error } | { promise }
+function callResolver(resolve, node, info) {
+  try {
+    const value = resolve(node.arg, info);
+    return value && typeof value.then === "function"
+      ? { promise: Promise.resolve(value) }
+      : { value };
+  } catch (error) {
+    return { error };
+  }
+}
+
+module.exports = {
+  lookupSettings,
+  lookup,
+  preloadLookups,
+};
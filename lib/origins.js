@@ -0,0 +1,237 @@
+/**
+ * origins.js => where each value of a parsed config came from (trackOrigins: true).
+ *
+ *   const conf = parseFile("app.conf", { trackOrigins: true, asConfig: true });
+ *   conf.origin("db.host");
+ *   // { path: "db.host", value: "prod-db", source: "env", env: "APP_DB_HOST",
+ *   //   description: "env APP_DB_HOST",
+ *   //   overridden: [{ value: "localhost", source: "file", file: ".../base.conf",
+ *   //                  line: 12, column: 3, includeChain: [".../app.conf"], ... }] }
+ *
+ * Sources: "file" (with line/column and the chain of files that included it),
+ * "string" (parseString without a filePath), "env", "argv" and "override".
+ * Arrays are tracked as a whole.
+ */
+const path = require("path");
+const { renderPath } = require("./stringify");
+const { REDACTED, isSensitive, redact } = require("./sensitive");
+
+// parsed root object => its OriginTracker
+const TRACKERS = new WeakMap();
+
+/**
+ * OriginTracker => path => history of assignments (oldest first).
+ *
+ * Every entry gets a sequence number so a replacing assignment can drop what
+ * was recorded underneath it before (`record(..., mark)`) while keeping the
+ * children its own value just recorded.
+ */
+class OriginTracker {
+  constructor() {
+    this.entries = new Map();
+    this.seq = 0;
+  }
+
+  /** mark() => take before evaluating a value that may record children */
+  mark() {
+    return this.seq;
+  }
+
+  record(segments, origin, value, mark = this.seq) {
+    this.dropBelow(segments, mark);
+    const key = JSON.stringify(segments);
+    const prev = this.entries.get(key);
+    this.entries.set(key, {
+      path: segments,
+      seq: ++this.seq,
+      history: [
+        ...(prev ? prev.history : []),
+        { ...origin, value: snapshot(value) },
+      ],
+    });
+  }
+
+  /**
+   * adopt(child, from, prefix) => an included document's entries at or below
+   * `from`, moved under `prefix` (where the include was merged in)
+   */
+  adopt(child, from, prefix) {
+    const base = [...prefix, ...from];
+    this.dropBelow(base, this.seq);
+    for (const entry of child.entries.values()) {
+      if (!startsWith(entry.path, from)) continue;
+      const segments = [...prefix, ...entry.path];
+      const key = JSON.stringify(segments);
+      const prev = this.entries.get(key);
+      this.entries.set(key, {
+        path: segments,
+        seq: ++this.seq,
+        history: [...(prev ? prev.history : []), ...entry.history],
+      });
+    }
+  }
+
+  /**
+   * revert(segments) => forget the latest assignment at (or, for an array
+   * element, above) segments: it turned out to keep the value it replaced
+   */
+  revert(segments) {
+    for (let n = segments.length; n > 0; n--) {
+      const entry = this.entries.get(JSON.stringify(segments.slice(0, n)));
+      if (!entry) continue;
+      if (entry.history.length > 1) entry.history.pop();
+      return;
+    }
+  }
+
+  dropBelow(segments, mark) {
+    for (const [key, entry] of this.entries) {
+      if (
+        entry.seq <= mark &&
+        entry.path.length > segments.length &&
+        startsWith(entry.path, segments)
+      ) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * lookup(segments, value) => the public origin record, or null if untracked
+   */
+  lookup(segments, value) {
+    const entry = this.entries.get(JSON.stringify(segments));
+    if (!entry) return null;
+    const history = entry.history.map(withDescription);
+    // the current value is read from the final tree, not the recorded one
+    const latest = { ...history[history.length - 1] };
+    delete latest.value;
+    return {
+      path: renderPath(segments),
+      value,
+      ...latest,
+      overridden: history.slice(0, -1).reverse(),
+    };
+  }
+
+  /**
+   * explain(root, [segments], [base], [sensitive]) => one block per leaf at or below segments:
+   *   db.host = "prod-db"  (env APP_DB_HOST)
+   *     overrode "localhost"  (config/base.conf:12:3, included from config/app.conf)
+   *   base => where `root` sits in the tracked config (a getConfig() view)
+   *   sensitive => rules (sensitive.js) whose values print as [REDACTED]
+   */
+  explain(root, segments = [], base = [], sensitive = []) {
+    const start = segments.reduce(
+      (node, key) => (node && typeof node === "object" ? node[key] : undefined),
+      root,
+    );
+    const lines = [];
+    for (const [leafPath, value] of leaves(start, [...base, ...segments])) {
+      const info = this.lookup(leafPath, value);
+      const where = info ? info.description : "unknown origin";
+      // arrays are leaves here, so what's inside one may be sensitive too
+      const show = (v) =>
+        isSensitive(sensitive, leafPath)
+          ? REDACTED
+          : formatValue(redact(v, sensitive, leafPath));
+      lines.push(`${renderPath(leafPath)} = ${show(value)}  (${where})`);
+      for (const old of info ? info.overridden : []) {
+        lines.push(`  overrode ${show(old.value)}  (${old.description})`);
+      }
+    }
+    return lines.join("\n");
+  }
+}
+
+/** attachOrigins(root, tracker) => root, queryable through getOrigins(root) */
+function attachOrigins(root, tracker) {
+  TRACKERS.set(root, tracker);
+  return root;
+}
+
+function getOrigins(root) {
+  return (root && typeof root === "object" && TRACKERS.get(root)) || null;
+}
+
+function startsWith(segments, prefix) {
+  return prefix.every((p, i) => segments[i] === p);
+}
+
+function snapshot(value) {
+  return value && typeof value === "object"
+    ? JSON.parse(JSON.stringify(value, markerReplacer))
+    : value;
+}
+
+// unresolved substitutions read better as their source text
+function markerReplacer(key, x) {
+  if (x && x.__type === "REF") return `\${${x.path.join(".")}}`;
+  if (x && x.__type === "FALLBACK") return x.main != null ? x.main : x.fallback;
+  if (x && x.__type === "CONCAT") {
+    return x.pieces
+      .map(({ value, before, text }) => before + (text ?? markerText(value)))
+      .join("");
+  }
+  if (x && x.__type === "MERGE") return x.layers.map(markerText).join(" ");
+  return x;
+}
+
+function markerText(value) {
+  const shown = markerReplacer("", value);
+  return typeof shown === "string"
+    ? shown
+    : JSON.stringify(shown, markerReplacer);
+}
+
+function formatValue(value) {
+  return value === undefined ? "undefined" : JSON.stringify(value);
+}
+
+function leaves(node, segments, out = []) {
+  if (node === undefined) return out;
+  const isObj = node && typeof node === "object" && !Array.isArray(node);
+  if (!isObj || (!Object.keys(node).length && segments.length)) {
+    out.push([segments, node]);
+    return out;
+  }
+  for (const [key, value] of Object.entries(node)) {
+    leaves(value, [...segments, key], out);
+  }
+  return out;
+}
+
+function withDescription(origin) {
+  return { ...origin, description: describe(origin) };
+}
+
+function describe(origin) {
+  switch (origin.source) {
+    case "env":
+      return origin.file
+        ? `env ${origin.env} (${displayPath(origin.file)})`
+        : `env ${origin.env}`;
+    case "argv":
+      return `argv ${origin.arg}`;
+    case "override":
+      return "overrides";
+    default: {
+      const file = displayPath(origin.file);
+      const chain = origin.includeChain.map(displayPath).reverse();
+      const via = chain.length ? `, included from ${chain.join(" <- ")}` : "";
+      return `${file}:${origin.line}:${origin.column}${via}`;
+    }
+  }
+}
+
+function displayPath(file) {
+  if (!file) return "<string>";
+  const rel = path.relative(process.cwd(), file);
+  return rel && !rel.startsWith("..") ? rel : file;
+}
+
+module.exports = {
+  OriginTracker,
+  attachOrigins,
+  getOrigins,
+};
@@ -0,0 +1,183 @@
+/**
+ * packages.js => Node module lookups, the classpath equivalent for configs:
+ *
+ *   include package("some-lib/reference.conf")   // found through node_modules
+ *   parseFile("app.conf", { referenceConf: true }) // every dependency's
+ *                                                  // reference.conf underneath
+ *
+ * The *Async versions walk node_modules with fs.promises only, for the
+ * async parse functions.
+ */
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * splitPackageSpec("@scope/lib/conf/a.conf") => { name: "@scope/lib", subpath: "conf/a.conf" }
+ */
+function splitPackageSpec(spec) {
+  const parts = spec.split("/");
+  const size = spec.startsWith("@") ? 2 : 1;
+  return {
+    name: parts.slice(0, size).join("/"),
+    subpath: parts.slice(size).join("/"),
+  };
+}
+
+/**
+ * findPackageDir(name, fromDir) => the installed package's directory, or null.
+ *   Node's resolution first; a plain node_modules walk covers packages
+ *   whose "exports" don't list package.json.
+ */
+function findPackageDir(name, fromDir) {
+  try {
+    return path.dirname(
+      require.resolve(`${name}/package.json`, { paths: [fromDir] }),
+    );
+  } catch (err) {
+    // fall through to the walk
+  }
+  for (let dir = path.resolve(fromDir); ; dir = path.dirname(dir)) {
+    const candidate = path.join(dir, "node_modules", name);
+    if (fs.existsSync(path.join(candidate, "package.json"))) return candidate;
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+/**
+ * resolvePackageFile("some-lib/reference.conf", fromDir) => absolute path, or null
+ */
+function resolvePackageFile(spec, fromDir) {
+  const { name, subpath } = splitPackageSpec(spec);
+  const dir = findPackageDir(name, fromDir);
+  if (!dir) return null;
+  const file = path.join(dir, subpath);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * findPackageDirAsync(name, fromDir) => findPackageDir without require.resolve:
+ *   the node_modules walk, symlinks resolved as Node would
+ */
+async function findPackageDirAsync(name, fromDir) {
+  for (let dir = path.resolve(fromDir); ; dir = path.dirname(dir)) {
+    const manifest = path.join(dir, "node_modules", name, "package.json");
+    try {
+      return path.dirname(await fs.promises.realpath(manifest));
+    } catch (err) {
+      // not installed here => keep walking up
+    }
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+/**
+ * resolvePackageFileAsync(spec, fromDir) => Promise of resolvePackageFile's result
+ */
+async function resolvePackageFileAsync(spec, fromDir) {
+  const { name, subpath } = splitPackageSpec(spec);
+  const dir = await findPackageDirAsync(name, fromDir);
+  if (!dir) return null;
+  const file = path.join(dir, subpath);
+  return (await existsAsync(file)) ? file : null;
+}
+
+/**
+ * findReferenceConfs(baseDir) => reference.conf of every installed dependency
+ * (transitively) of the package that owns baseDir. A package's file comes
+ * after those of its own dependencies, so it can override their defaults.
+ */
+function findReferenceConfs(baseDir) {
+  const appDir = findPackageRoot(baseDir || process.cwd());
+  if (!appDir) return [];
+  const seen = new Set([appDir]);
+  const out = [];
+  const visit = (pkgDir) => {
+    for (const name of dependencyNames(pkgDir)) {
+      const dir = findPackageDir(name, pkgDir);
+      if (!dir || seen.has(dir)) continue;
+      seen.add(dir);
+      visit(dir);
+      const ref = path.join(dir, "reference.conf");
+      if (fs.existsSync(ref)) out.push(ref);
+    }
+  };
+  visit(appDir);
+  return out;
+}
+
+/**
+ * findReferenceConfsAsync(baseDir) => Promise of findReferenceConfs' result;
+ * packages are visited one at a time to keep the same order
+ */
+async function findReferenceConfsAsync(baseDir) {
+  const appDir = await findPackageRootAsync(baseDir || process.cwd());
+  if (!appDir) return [];
+  const seen = new Set([appDir]);
+  const out = [];
+  const visit = async (pkgDir) => {
+    for (const name of await dependencyNamesAsync(pkgDir)) {
+      const dir = await findPackageDirAsync(name, pkgDir);
+      if (!dir || seen.has(dir)) continue;
+      seen.add(dir);
+      await visit(dir);
+      const ref = path.join(dir, "reference.conf");
+      if (await existsAsync(ref)) out.push(ref);
+    }
+  };
+  await visit(appDir);
+  return out;
+}
+
+function findPackageRoot(fromDir) {
+  for (let dir = path.resolve(fromDir); ; dir = path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, "package.json"))) return dir;
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+async function findPackageRootAsync(fromDir) {
+  for (let dir = path.resolve(fromDir); ; dir = path.dirname(dir)) {
+    if (await existsAsync(path.join(dir, "package.json"))) return dir;
+    if (path.dirname(dir) === dir) return null;
+  }
+}
+
+function dependencyNames(pkgDir) {
+  try {
+    return namesIn(fs.readFileSync(path.join(pkgDir, "package.json"), "utf8"));
+  } catch (err) {
+    return [];
+  }
+}
+
+async function dependencyNamesAsync(pkgDir) {
+  try {
+    const file = path.join(pkgDir, "package.json");
+    return namesIn(await fs.promises.readFile(file, "utf8"));
+  } catch (err) {
+    return [];
+  }
+}
+
+// package.json text => its (optional) dependencies, sorted
+function namesIn(json) {
+  const pkg = JSON.parse(json);
+  return Object.keys({
+    ...pkg.dependencies,
+    ...pkg.optionalDependencies,
+  }).sort();
+}
+
+function existsAsync(file) {
+  return fs.promises.access(file).then(
+    () => true,
+    () => false,
+  );
+}
+
+module.exports = {
+  resolvePackageFile,
+  resolvePackageFileAsync,
+  findReferenceConfs,
+  findReferenceConfsAsync,
+};
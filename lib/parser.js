@@ -0,0 +1,403 @@
+/**
+ * parser.js => turns lexer tokens into an AST.
+ *
+ * Node types (all carry `line` / `col` of their first token):
+ *   Object        { fields: (Field | Include)[] }
+ *   Field         { path: string[], op: "=" | "+=", value }
+ *   Include       { target, required, kind: "file" | "dir" | "package", format? }
+ *   Array         { elements: value[] }
+ *   String        { value, quote: null | '"' | "'" | '"""' }   (quote=null => unquoted text)
+ *   Substitution  { path: string[], optional, expr }
+ *                 ({ path: null, scheme, arg } for ${scheme:arg}, see lookups.js)
+ *   Concat        { parts: (value | Whitespace)[] }
+ *   Whitespace    { value }
+ *   Fallback      { main, fallback }                          ("X or Y")
+ *   Literal       { value }          (already typed; JSON / .properties / .env, see formats.js)
+ *
+ * Malformed input is reported through errors.js: a HoconParseError is thrown,
+ * or with strict: false collected as a warning while the parser skips ahead.
+ *
+ * Nothing is evaluated here: substitutions, includes and merges are left to resolver.js.
+ */
+const { T, tokenize } = require("./lexer");
+const { makeReporter } = require("./errors");
+
+/**
+ * parseTokens(tokens, [options]) => root Object node
+ *   options.source (the original text) is only used for error code frames
+ */
+function parseTokens(tokens, options = {}) {
+  const report = makeReporter(options, options.source);
+  let idx = 0;
+
+  function peek(offset = 0) {
+    return tokens[Math.min(idx + offset, tokens.length - 1)];
+  }
+  function next() {
+    const tok = peek();
+    if (idx < tokens.length - 1) idx++;
+    return tok;
+  }
+  function at(tok) {
+    return { line: tok.line, col: tok.col };
+  }
+  function skip(...types) {
+    while (types.includes(peek().type)) next();
+  }
+  function skipLine() {
+    while (peek().type !== T.NEWLINE && peek().type !== T.EOF) next();
+  }
+  function describe(tok) {
+    if (tok.type === T.EOF) return "end of input";
+    if (tok.type === T.NEWLINE) return "end of line";
+    return `'${tok.value}'`;
+  }
+
+  function parseRoot() {
+    skip(T.WHITESPACE, T.NEWLINE);
+    // a root may be wrapped in braces, JSON style
+    if (peek().type === T.LBRACE) {
+      const root = parseObject();
+      skip(T.WHITESPACE, T.NEWLINE, T.COMMA);
+      if (peek().type === T.EOF) return root;
+      // more content after the closing brace => treat the rest as fields too
+      root.fields.push(...parseObjectBody(null));
+      return root;
+    }
+    const start = at(peek());
+    return { type: "Object", fields: parseObjectBody(null), ...start };
+  }
+
+  function parseObject() {
+    const open = next(); // '{'
+    return { type: "Object", fields: parseObjectBody(open), ...at(open) };
+  }
+
+  /**
+   * parseObjectBody(open) => fields up to the '}' matching `open` (or EOF for the root)
+   */
+  function parseObjectBody(open) {
+    const fields = [];
+    while (true) {
+      skip(T.WHITESPACE, T.NEWLINE, T.COMMA);
+      const tok = peek();
+      if (tok.type === T.EOF) {
+        if (open) report("Unclosed '{', expected '}'", open);
+        return fields;
+      }
+      if (tok.type === T.RBRACE) {
+        if (open) {
+          next();
+          return fields;
+        }
+        report("Unexpected '}' without a matching '{'", tok);
+        next();
+        continue;
+      }
+      if (isIncludeStart()) {
+        const inc = parseInclude();
+        if (inc) fields.push(inc);
+        continue;
+      }
+      const field = parseField();
+      if (field) fields.push(field);
+    }
+  }
+
+  function isIncludeStart() {
+    const tok = peek();
+    if (tok.type !== T.UNQUOTED || tok.value !== "include") return false;
+    if (peek(1).type !== T.WHITESPACE) return false;
+    const after = peek(2);
+    return (
+      after.type === T.QUOTED ||
+      (after.type === T.UNQUOTED && /^[A-Za-z]+\(/.test(after.value))
+    );
+  }
+
+  /**
+   * include "file" | file("file") | dir("conf.d") | package("lib/file.conf"),
+   * each optionally wrapped in required(...); classpath(...) reads as package(...).
+   * A file name may hold * and ? wildcards ("conf.d/*.conf").
+   * json("x") / properties("x") / env("x") are files read in that format.
+   */
+  function parseInclude() {
+    const start = next(); // 'include'
+    skip(T.WHITESPACE);
+    const parts = [];
+    while (!isValueEnd(peek().type)) parts.push(next());
+
+    const quoted = parts.filter((p) => p.type === T.QUOTED);
+    const text = parts
+      .filter((p) => p.type !== T.WHITESPACE)
+      .map((p) => (p.type === T.QUOTED ? '"' : p.value))
+      .join("");
+    const wrapped = text.match(/^required\((.*)\)$/);
+    const inner = wrapped ? wrapped[1] : text;
+    const form = inner.match(
+      /^(file|dir|package|classpath|json|properties|env)\("\)$/,
+    );
+    if (quoted.length !== 1 || (inner !== '"' && !form)) {
+      report("Unsupported include syntax", start);
+      return null;
+    }
+    return {
+      type: "Include",
+      target: quoted[0].value,
+      required: Boolean(wrapped),
+      ...includeKind(form ? form[1] : "file"),
+      ...at(start),
+    };
+  }
+
+  function includeKind(form) {
+    if (form === "classpath") return { kind: "package" };
+    if (["json", "properties", "env"].includes(form)) {
+      return { kind: "file", format: form };
+    }
+    return { kind: form };
+  }
+
+  function parseField() {
+    const start = peek();
+    const keyTokens = [];
+    while ([T.UNQUOTED, T.QUOTED, T.WHITESPACE].includes(peek().type)) {
+      keyTokens.push(next());
+    }
+    const path = parseKeyPath(keyTokens);
+    const tok = peek();
+
+    if (
+      path.length &&
+      (tok.type === T.SEPARATOR || tok.type === T.PLUS_EQUALS)
+    ) {
+      next();
+      skip(T.WHITESPACE);
+      const value = parseValue();
+      if (!value) {
+        report(`Missing value for key '${path.join(".")}'`, peek());
+        return null;
+      }
+      const op = tok.type === T.PLUS_EQUALS ? "+=" : "=";
+      return { type: "Field", path, op, value, ...at(start) };
+    }
+
+    if (path.length && tok.type === T.LBRACE) {
+      const value = parseValue();
+      return { type: "Field", path, op: "=", value, ...at(start) };
+    }
+
+    if (path.length) {
+      report(
+        `Expected '=', ':', '+=' or '{' after key '${path.join(".")}' but found ${describe(tok)}`,
+        tok,
+      );
+    } else {
+      report(`Unexpected ${describe(tok)}`, tok);
+    }
+    skipLine();
+    return null;
+  }
+
+  function isValueEnd(type) {
+    return [T.NEWLINE, T.COMMA, T.RBRACE, T.RBRACKET, T.EOF].includes(type);
+  }
+
+  /**
+   * parseValue => one value, or a concatenation of several pieces on the same line
+   */
+  function parseValue() {
+    const start = peek();
+    const parts = [];
+    while (!isValueEnd(peek().type)) {
+      const tok = peek();
+      switch (tok.type) {
+        case T.WHITESPACE:
+          next();
+          parts.push({ type: "Whitespace", value: tok.value, ...at(tok) });
+          break;
+        case T.LBRACE:
+          parts.push(parseObject());
+          break;
+        case T.LBRACKET:
+          parts.push(parseArray());
+          break;
+        case T.QUOTED:
+          next();
+          parts.push({
+            type: "String",
+            value: tok.value,
+            quote: tok.quote,
+            ...at(tok),
+          });
+          break;
+        case T.SUBSTITUTION:
+          next();
+          parts.push({
+            type: "Substitution",
+            ...substitutionTarget(tok.expr),
+            optional: tok.optional,
+            expr: tok.expr,
+            ...at(tok),
+          });
+          break;
+        default:
+          // unquoted text, plus a lenient reading of '=', ':' and '+=' inside values
+          next();
+          parts.push({
+            type: "String",
+            value: tok.value,
+            quote: null,
+            ...at(tok),
+          });
+      }
+    }
+
+    while (parts.length && parts[parts.length - 1].type === "Whitespace") {
+      parts.pop();
+    }
+    if (!parts.length) return null;
+    if (parts.length === 1) return parts[0];
+
+    const pieces = parts.filter((p) => p.type !== "Whitespace");
+    if (
+      pieces.length === 3 &&
+      pieces[1].type === "String" &&
+      pieces[1].quote === null &&
+      pieces[1].value.toLowerCase() === "or"
+    ) {
+      return {
+        type: "Fallback",
+        main: pieces[0],
+        fallback: pieces[2],
+        ...at(start),
+      };
+    }
+    return { type: "Concat", parts, ...at(start) };
+  }
+
+  /**
+   * parseArray => elements separated by commas and/or newlines; a comma must
+   * follow an element (one trailing comma is fine, `[,1]` / `[1,,2]` aren't)
+   */
+  function parseArray() {
+    const open = next(); // '['
+    const elements = [];
+    let afterElement = false;
+    while (true) {
+      skip(T.WHITESPACE, T.NEWLINE);
+      const tok = peek();
+      if (tok.type === T.COMMA) {
+        if (!afterElement) report("Unexpected ',' in array", tok);
+        next();
+        afterElement = false;
+        continue;
+      }
+      if (tok.type === T.RBRACKET) {
+        next();
+        break;
+      }
+      if (tok.type === T.EOF || tok.type === T.RBRACE) {
+        report("Unclosed '[', expected ']'", open);
+        break;
+      }
+      const value = parseValue();
+      if (value) elements.push(value);
+      afterElement = true;
+    }
+    return { type: "Array", elements, ...at(open) };
+  }
+
+  return parseRoot();
+}
+
+/**
+ * parseKeyPath(tokens) => ["a", "b.c"] for `a."b.c"`
+ *   Unquoted text splits on '.', quoted text never does.
+ */
+function parseKeyPath(tokens) {
+  let parts = tokens.slice();
+  while (parts.length && parts[0].type === T.WHITESPACE) parts.shift();
+  while (parts.length && parts[parts.length - 1].type === T.WHITESPACE) {
+    parts.pop();
+  }
+
+  const segments = [];
+  let current = "";
+  let sawQuoted = false;
+  for (const tok of parts) {
+    if (tok.type !== T.UNQUOTED) {
+      current += tok.value;
+      if (tok.type === T.QUOTED) sawQuoted = true;
+      continue;
+    }
+    const pieces = tok.value.split(".");
+    current += pieces[0];
+    for (let k = 1; k < pieces.length; k++) {
+      if (current || sawQuoted) segments.push(current);
+      current = pieces[k];
+      sawQuoted = false;
+    }
+  }
+  if (current || sawQuoted) segments.push(current);
+  return segments;
+}
+
+// ${scheme:argument} => a lookup through a resolver (see lookups.js); a path
+// can't hold an unquoted ':', so nothing else reads this way
+function substitutionTarget(expr) {
+  const m = expr.trim().match(/^([A-Za-z][\w-]*):(.*)$/);
+  if (m) return { path: null, scheme: m[1], arg: m[2].trim() };
+  return { path: parsePathExpression(expr) };
+}
+
+/**
+ * parsePathExpression("a.\"b.c\"") => ["a", "b.c"]
+ */
+function parsePathExpression(expr) {
+  return parseKeyPath(
+    tokenize(expr).filter((t) => t.type !== T.EOF && t.type !== T.NEWLINE),
+  );
+}
+
+/**
+ * parseHocon(content, [options]) => AST for a whole document
+ */
+function parseHocon(content, options = {}) {
+  return parseTokens(tokenize(content, options), {
+    ...options,
+    source: content,
+  });
+}
+
+/**
+ * collectNodes(node, match, [out]) => every node below `node` (itself
+ * included) for which match(node) is true, in document order; a matching
+ * node's own children aren't searched
+ */
+function collectNodes(node, match, out = []) {
+  if (!node || typeof node !== "object") return out;
+  if (match(node)) {
+    out.push(node);
+    return out;
+  }
+  for (const child of [
+    ...(node.fields || []),
+    ...(node.elements || []),
+    ...(node.parts || []),
+    node.value,
+    node.main,
+    node.fallback,
+  ]) {
+    collectNodes(child, match, out);
+  }
+  return out;
+}
+
+module.exports = {
+  collectNodes,
+  parseHocon,
+  parseTokens,
+  parseKeyPath,
+  parsePathExpression,
+};
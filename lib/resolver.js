@@ -0,0 +1,1070 @@
+/**
+ * resolver.js => evaluates the AST from parser.js into a plain object.
+ *
+ * Fields are applied in document order (last definition wins, `+=` appends,
+ * includes merge in place). A substitution of the field being defined
+ * (`path = ${path}":/opt/bin"`) reads the earlier value right away; any other
+ * is left as a { __type: "REF" } marker (${scheme:argument} lookups as
+ * "LOOKUP", concatenations holding one as "CONCAT", `X or Y` as "FALLBACK",
+ * objects layered on one as "MERGE") and resolved against the final tree, so
+ * forward references work and later definitions win.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseHocon, collectNodes } = require("./parser");
+const { OriginTracker } = require("./origins");
+const { resolvePackageFile, resolvePackageFileAsync } = require("./packages");
+const { detectFormat, parseSource } = require("./formats");
+const { renderPath } = require("./stringify");
+const { lookupSettings, lookup, preloadLookups } = require("./lookups");
+const { REDACTED, isSensitive } = require("./sensitive");
+const {
+  safeEnvLookup,
+  maybeConvertPrimitive,
+  isPlainObject,
+  isMarker,
+  isOptionalMarker,
+  mergeObjs,
+  dbg,
+  deepClone,
+  checkKeys,
+  fromText,
+  foldEnvSegment,
+  realPath,
+  realPathAsync,
+  isWithin,
+} = require("./utils");
+
+// deep enough for any sane layout, shallow enough to fail fast
+const DEFAULT_MAX_INCLUDE_DEPTH = 50;
+
+/**
+ * resolveAst(ast, [options]):
+ *   evaluate the document, apply overrides last,
+ *   then resolve substitutions and fallbacks (X or Y) on the final tree
+ */
+function resolveAst(ast, options = {}) {
+  const {
+    baseDir,
+    debug = false,
+    overrides = null,
+    strict = true,
+    warnings = null,
+    filePath = null,
+    origins = null,
+    overrideSources = null,
+    envMatching = null,
+    coerceOverrides = false,
+    includedFiles = null,
+    preloaded = null,
+    references = [],
+    overlays = [],
+    includeRoot = null,
+    maxIncludeDepth = DEFAULT_MAX_INCLUDE_DEPTH,
+    lookups = lookupSettings(),
+    sensitive = [],
+  } = options;
+
+  // reference.conf files (and loadConfig's layers) go underneath the
+  // document, overlays (--config-file) on top of it: loaded as part of it,
+  // but not included *from* it
+  const layer = (file) => ({
+    type: "Include",
+    target: file,
+    required: true,
+    kind: "file",
+    layer: true,
+    line: 1,
+    col: 1,
+  });
+  const result = evaluateDocument(
+    {
+      ...ast,
+      fields: [...references.map(layer), ...ast.fields, ...overlays.map(layer)],
+    },
+    {
+      baseDir,
+      debug,
+      strict,
+      warnings,
+      includedFiles,
+      preloaded,
+      includeRoot:
+        includeRoot && realPathOf(path.resolve(includeRoot), preloaded),
+      maxIncludeDepth,
+      lookups,
+      filePath,
+      includeChain: [],
+      origins,
+      prefix: [],
+      includedAt: [],
+    },
+  );
+
+  // apply overrides last
+  if (overrides && typeof overrides === "object") {
+    for (const [k, v] of Object.entries(overrides)) {
+      const source = (overrideSources && overrideSources[k]) || {
+        source: "override",
+      };
+      let segments = k.split(".").filter((p) => p.length > 0);
+      if (envMatching && source.source === "env") {
+        segments = matchEnvPath(result, segments, source, envMatching);
+        if (!segments) continue;
+      }
+      const value =
+        source.source === "env" || source.source === "argv"
+          ? typedOverride(v, getField(result, segments), coerceOverrides, {
+              source,
+              segments,
+              sensitive,
+            })
+          : v;
+      setField(result, segments, value);
+      if (origins) origins.record(segments, source, value);
+    }
+  }
+
+  // substitutions, lookups and fallbacks => final pass
+  resolveMarkers(result, debug, lookups, origins);
+
+  return result;
+}
+
+/**
+ * evaluateDocument => a fresh root object for one file (or string)
+ *   ctx.prefix is where the fields being evaluated sit in the document,
+ *   ctx.includedAt where the document itself sits in the whole config
+ */
+function evaluateDocument(ast, ctx) {
+  const root = {};
+  evaluateFields(ast.fields, root, { ...ctx, root });
+  return root;
+}
+
+function evaluateFields(fields, target, ctx) {
+  for (const node of fields) {
+    if (node.type === "Include") {
+      handleInclude(node, target, ctx);
+      continue;
+    }
+    checkKeys([...ctx.prefix, ...node.path]);
+    if (node.op === "+=") {
+      plusAssignValue(target, node, ctx);
+    } else {
+      assignValue(target, node, ctx);
+    }
+  }
+}
+
+// includes => optional vs required; dir() and globs include every match
+function handleInclude(node, target, ctx) {
+  const { debug } = ctx;
+  const incPath = includePath(node, ctx.baseDir, ctx.preloaded);
+  dbg(debug, `handleInclude => ${incPath || node.target}`);
+  const pattern = incPath && includePattern(node, incPath);
+  if (!pattern) {
+    includeFile(incPath, node, target, ctx);
+    return;
+  }
+  checkIncludeRoot(pattern.dir, ctx);
+  // the directory itself too: its mtime changes as files come and go
+  if (ctx.includedFiles) ctx.includedFiles.push(pattern.dir);
+  const files = matchFiles(pattern, listDir(pattern.dir, ctx));
+  if (!files.length) {
+    if (node.required) {
+      throw new Error(`HOCON: Required include matched no files => ${incPath}`);
+    }
+    dbg(debug, `Include matched no files => skip => ${incPath}`);
+    return;
+  }
+  for (const file of files) includeFile(file, node, target, ctx);
+}
+
+function includeFile(incPath, node, target, ctx) {
+  const { debug } = ctx;
+  if (incPath) checkInclude(incPath, ctx);
+  // missing optional includes too, so a watcher notices when they appear
+  if (incPath && ctx.includedFiles) ctx.includedFiles.push(incPath);
+  const content = incPath && readInclude(incPath, ctx);
+  if (content == null) {
+    const what = incPath || `package(${node.target})`;
+    if (node.required) {
+      throw new Error(`HOCON: Required include file missing => ${what}`);
+    }
+    dbg(debug, `Optional include missing => skip => ${what}`);
+    return;
+  }
+  const { strict, warnings } = ctx;
+  const ast = parseSource(content, {
+    format: detectFormat(incPath, node.format),
+    debug,
+    strict,
+    warnings,
+    filePath: incPath,
+  });
+  // an include is evaluated on its own, so it records into its own tracker;
+  // only the keys mergeObjs actually takes over are adopted
+  const origins = ctx.origins && new OriginTracker();
+  const included = evaluateDocument(ast, {
+    ...ctx,
+    baseDir: path.dirname(incPath),
+    filePath: incPath,
+    includeChain: node.layer
+      ? ctx.includeChain
+      : [...ctx.includeChain, ctx.filePath],
+    origins,
+    prefix: [],
+    // `a { include "x.conf" }` => x.conf's substitutions look under a first
+    includedAt: [...ctx.includedAt, ...ctx.prefix],
+    // and its self-references and += see what the including file has so far
+    outer: ctx,
+  });
+  mergeObjs(
+    target,
+    included,
+    debug,
+    origins && ((from) => ctx.origins.adopt(origins, from, ctx.prefix)),
+  );
+}
+
+/**
+ * checkInclude => throw before reading an include that would loop back into
+ * one of the files including it, nest deeper than ctx.maxIncludeDepth, or
+ * leave ctx.includeRoot
+ */
+function checkInclude(incPath, ctx) {
+  const chain = [...ctx.includeChain, ctx.filePath].filter(Boolean);
+  if (chain.includes(incPath)) {
+    const cycle = chain.slice(chain.indexOf(incPath));
+    throw new Error(
+      `HOCON: Include cycle => ${[...cycle, incPath].join(" -> ")}`,
+    );
+  }
+  if (ctx.includeChain.length + 1 > ctx.maxIncludeDepth) {
+    throw new Error(
+      `HOCON: Include depth exceeds maxIncludeDepth (${ctx.maxIncludeDepth}) => ${[...chain, incPath].join(" -> ")}`,
+    );
+  }
+  checkIncludeRoot(incPath, ctx);
+}
+
+function checkIncludeRoot(incPath, ctx) {
+  if (
+    ctx.includeRoot &&
+    !isWithin(ctx.includeRoot, realPathOf(incPath, ctx.preloaded))
+  ) {
+    throw new Error(
+      `HOCON: Include outside includeRoot (${ctx.includeRoot}) => ${incPath}`,
+    );
+  }
+}
+
+// symlinks resolved (from the preload map when parsing asynchronously)
+function realPathOf(file, preloaded) {
+  const key = realPathKey(file);
+  return preloaded && preloaded.has(key) ? preloaded.get(key) : realPath(file);
+}
+
+/**
+ * includePath => absolute path of an include; file includes are relative to
+ * the including file, package includes go through node_modules (null if the
+ * package or the file in it isn't installed; from the preload map if there)
+ */
+function includePath(node, baseDir, preloaded) {
+  if (node.kind === "package") {
+    const fromDir = baseDir || process.cwd();
+    const key = packageKey(node.target, fromDir);
+    if (preloaded && preloaded.has(key)) return preloaded.get(key);
+    return resolvePackageFile(node.target, fromDir);
+  }
+  return path.resolve(baseDir || ".", node.target);
+}
+
+/**
+ * includePattern => { dir, regex } for dir("conf.d") (its *.conf files) and
+ * "conf.d/*.conf" style globs; null for a plain include.
+ * Wildcards (* and ?) are only understood in the file name.
+ */
+function includePattern(node, incPath) {
+  if (node.kind === "dir") return { dir: incPath, regex: /^[^.].*\.conf$/ };
+  if (node.kind !== "file" || !/[*?]/.test(node.target)) return null;
+  const dir = path.dirname(incPath);
+  if (/[*?]/.test(dir)) {
+    throw new Error(
+      `HOCON: Wildcards are only supported in the file name => ${node.target}`,
+    );
+  }
+  const name = path.basename(incPath);
+  const source = name
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  // like a shell, wildcards skip dotfiles unless the pattern names them
+  const hidden = name.startsWith(".") ? "" : "(?!\\.)";
+  return { dir, regex: new RegExp(`^${hidden}${source}$`) };
+}
+
+/**
+ * matchFiles(pattern, names) => absolute paths of the matching names, sorted
+ */
+function matchFiles({ dir, regex }, names) {
+  return names
+    .filter((name) => regex.test(name))
+    .sort()
+    .map((name) => path.join(dir, name));
+}
+
+/**
+ * listDir => names of the files in `dir` ([] if it doesn't exist);
+ * from ctx.preloaded when parsing asynchronously
+ */
+function listDir(dir, ctx) {
+  if (ctx.preloaded) {
+    const entry = ctx.preloaded.get(listingKey(dir));
+    if (entry instanceof Error) throw entry;
+    return entry || [];
+  }
+  try {
+    return fileNames(fs.readdirSync(dir, { withFileTypes: true }));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+// symlinks count as files (conf.d is often a farm of them)
+function fileNames(entries) {
+  return entries
+    .filter((entry) => entry.isFile() || entry.isSymbolicLink())
+    .map((entry) => entry.name);
+}
+
+// directory listings, real paths and package includes share the preload
+// map; a separator / NUL (never part of a path) keeps their keys apart
+function listingKey(dir) {
+  return dir + path.sep;
+}
+function realPathKey(file) {
+  return `${file}\0`;
+}
+function packageKey(spec, fromDir) {
+  return `${fromDir}\0${spec}`;
+}
+
+/**
+ * readInclude => file content, or null if it doesn't exist;
+ * from ctx.preloaded (see preloadIncludes) when parsing asynchronously
+ */
+function readInclude(incPath, ctx) {
+  if (!ctx.preloaded) {
+    return fs.existsSync(incPath) ? fs.readFileSync(incPath, "utf8") : null;
+  }
+  const entry = ctx.preloaded.get(incPath);
+  if (entry instanceof Error) throw entry;
+  return entry === undefined ? null : entry;
+}
+
+/**
+ * preloadIncludes(content, baseDir, [{ preloaded, extraFiles, includeRoot, lookups }]) =>
+ * Map of absolute path => content (null if missing, the Error if unreadable)
+ * for every file `content` includes, directly or not. Independent includes
+ * are read concurrently; resolveAst({ preloaded }) then evaluates exactly as
+ * the sync path would. Nothing outside includeRoot is read.
+ * With `lookups`, every file's ${scheme:argument} values go into its cache too.
+ */
+async function preloadIncludes(content, baseDir, options = {}) {
+  const {
+    preloaded = new Map(),
+    extraFiles = [],
+    includeRoot = null,
+    lookups = null,
+  } = options;
+  const root =
+    includeRoot &&
+    (await preloadRealPath(path.resolve(includeRoot), preloaded));
+  // discovery only: syntax errors are reported when the file is evaluated
+  const ast = parseHocon(content, { strict: false, warnings: [] });
+  const lookupsRead = lookups && preloadLookups(ast, baseDir, lookups);
+  const targets = (
+    await Promise.all(
+      collectNodes(ast, (node) => node.type === "Include").map((node) =>
+        preloadTargets(node, baseDir, preloaded, root),
+      ),
+    )
+  ).flat();
+  await Promise.all(
+    [...extraFiles, ...targets].map(async (incPath) => {
+      if (!incPath || preloaded.has(incPath)) return;
+      preloaded.set(incPath, null);
+      if (root && !isWithin(root, await preloadRealPath(incPath, preloaded))) {
+        return;
+      }
+      let text;
+      try {
+        text = await fs.promises.readFile(incPath, "utf8");
+      } catch (err) {
+        if (err.code !== "ENOENT") preloaded.set(incPath, err);
+        return;
+      }
+      preloaded.set(incPath, text);
+      // only HOCON files include others
+      if (detectFormat(incPath) !== "hocon") return;
+      await preloadIncludes(text, path.dirname(incPath), {
+        preloaded,
+        includeRoot,
+        lookups,
+      });
+    }),
+  );
+  await lookupsRead;
+  return preloaded;
+}
+
+// realPathAsync, kept in the preload map for checkIncludeRoot
+async function preloadRealPath(file, preloaded) {
+  const key = realPathKey(file);
+  if (!preloaded.has(key)) preloaded.set(key, await realPathAsync(file));
+  return preloaded.get(key);
+}
+
+/**
+ * preloadTargets => the files an include stands for; dir() and glob
+ * includes list their directory (once) and package() includes find their
+ * package with fs.promises
+ */
+async function preloadTargets(node, baseDir, preloaded, root) {
+  if (node.kind === "package") {
+    const fromDir = baseDir || process.cwd();
+    const key = packageKey(node.target, fromDir);
+    if (!preloaded.has(key)) {
+      preloaded.set(key, await resolvePackageFileAsync(node.target, fromDir));
+    }
+  }
+  const incPath = includePath(node, baseDir, preloaded);
+  let pattern;
+  try {
+    pattern = incPath && includePattern(node, incPath);
+  } catch (err) {
+    return []; // reported when the include is evaluated
+  }
+  if (!pattern) return [incPath];
+  if (root && !isWithin(root, await preloadRealPath(pattern.dir, preloaded))) {
+    return [];
+  }
+  const key = listingKey(pattern.dir);
+  // the pending listing goes in first, so concurrent includes share it
+  if (!preloaded.has(key)) {
+    preloaded.set(
+      key,
+      fs.promises
+        .readdir(pattern.dir, { withFileTypes: true })
+        .then(fileNames, (err) => (err.code === "ENOENT" ? [] : err)),
+    );
+  }
+  const names = await preloaded.get(key);
+  preloaded.set(key, names);
+  return names instanceof Error ? [] : matchFiles(pattern, names);
+}
+
+/**
+ * recordOrigin => note that `node` just set `node.path` (origin tracking only)
+ */
+function recordOrigin(ctx, node, value, mark) {
+  ctx.origins.record(
+    [...ctx.prefix, ...node.path],
+    {
+      source: ctx.filePath ? "file" : "string",
+      file: ctx.filePath,
+      line: node.line,
+      column: node.col,
+      includeChain: ctx.includeChain,
+    },
+    value,
+    mark,
+  );
+}
+
+function fieldCtx(ctx, node) {
+  return { ...ctx, prefix: [...ctx.prefix, ...node.path] };
+}
+
+function assignValue(obj, node, ctx) {
+  const { debug } = ctx;
+  const dottedKey = node.path.join(".");
+  let existingVal = getField(obj, node.path);
+
+  // key { ... } on a value that isn't known yet => fields go on top of it
+  if (node.value.type === "Object" && isMarker(existingVal)) {
+    setField(obj, node.path, withOverlay(existingVal));
+    existingVal = overlayOf(getField(obj, node.path));
+  }
+  // key { ... } / key = { ... } on an existing object => merge field by field
+  if (node.value.type === "Object" && isPlainObject(existingVal)) {
+    evaluateFields(node.value.fields, existingVal, fieldCtx(ctx, node));
+    return;
+  }
+
+  const mark = ctx.origins && ctx.origins.mark();
+  let newVal = evaluateValue(node.value, fieldCtx(ctx, node));
+  // ${?...} not known yet => the old value stays if it turns out missing
+  // (also as a partial array: `ports = [${?PORT}]`)
+  const partial =
+    Array.isArray(newVal) && newVal.length === 1 && isOptionalMarker(newVal[0]);
+  if ((isOptionalMarker(newVal) || partial) && existingVal !== undefined) {
+    newVal = {
+      __type: "FALLBACK",
+      main: newVal,
+      fallback: existingVal,
+      keep: true,
+    };
+  }
+  if (newVal == null && existingVal != null) {
+    dbg(debug, `Skipping null/undefined => keep old => ${dottedKey}`);
+    return;
+  }
+  // a missing ${?...} leaves the field unset
+  if (newVal === undefined) return;
+  // partial array => [undefined] => skip
+  if (
+    Array.isArray(newVal) &&
+    newVal.length === 1 &&
+    newVal[0] == null &&
+    Array.isArray(existingVal) &&
+    existingVal.length > 0
+  ) {
+    dbg(debug, `[undefined] => skip => ${dottedKey}`);
+    return;
+  }
+  // objects merge, but with a side not known yet that has to wait
+  if (
+    (isMarker(newVal) || isMarker(existingVal)) &&
+    (isPlainObject(newVal) || isMarker(newVal)) &&
+    (isPlainObject(existingVal) || isMarker(existingVal))
+  ) {
+    newVal = { __type: "MERGE", layers: [existingVal, newVal] };
+  }
+  setField(obj, node.path, newVal);
+  if (ctx.origins) recordOrigin(ctx, node, newVal, mark);
+}
+
+function plusAssignValue(obj, node, ctx) {
+  const { debug } = ctx;
+  const dottedKey = node.path.join(".");
+  const mark = ctx.origins && ctx.origins.mark();
+  let newVal = evaluateValue(node.value, fieldCtx(ctx, node));
+  let existingVal = getField(obj, node.path);
+  if (existingVal === undefined) {
+    existingVal = deepClone(includingValue(ctx, [...ctx.prefix, ...node.path]));
+    if (existingVal !== undefined) setField(obj, node.path, existingVal);
+  }
+
+  if (existingVal === undefined) {
+    setField(obj, node.path, newVal);
+    if (ctx.origins) recordOrigin(ctx, node, newVal, mark);
+    return;
+  }
+  if (newVal == null) {
+    dbg(debug, `Skipping null => keep old => ${dottedKey}`);
+    return;
+  }
+  // `a += b` is `a = ${?a} [b]`: onto an array (or what isn't known yet),
+  // b is one more element
+  if (
+    (Array.isArray(existingVal) || isMarker(existingVal)) &&
+    !Array.isArray(newVal)
+  ) {
+    newVal = [newVal];
+  }
+  if (
+    Array.isArray(newVal) &&
+    newVal.length === 1 &&
+    newVal[0] == null &&
+    Array.isArray(existingVal) &&
+    existingVal.length > 0
+  ) {
+    dbg(debug, `[undefined] => skip => ${dottedKey}`);
+    return;
+  }
+
+  if (isMarker(newVal) || isMarker(existingVal)) {
+    // not known yet => append once both sides are
+    setField(obj, node.path, {
+      __type: "CONCAT",
+      pieces: [
+        { value: existingVal, before: "" },
+        { value: newVal, before: "" },
+      ],
+    });
+  } else if (Array.isArray(newVal) && Array.isArray(existingVal)) {
+    setField(obj, node.path, existingVal.concat(newVal));
+  } else if (isPlainObject(newVal) && isPlainObject(existingVal)) {
+    // its fields were already recorded under this path while evaluating
+    mergeObjs(existingVal, newVal, debug);
+    return;
+  } else if (typeof newVal === "string" && typeof existingVal === "string") {
+    setField(obj, node.path, existingVal + newVal);
+  } else {
+    setField(obj, node.path, newVal);
+  }
+  if (ctx.origins) {
+    recordOrigin(ctx, node, getField(obj, node.path), mark);
+  }
+}
+
+/**
+ * earlierValue(ctx, segments) => the value at `segments` (a path in the
+ * document being evaluated) so far, from the including files if this
+ * document has none
+ */
+function earlierValue(ctx, segments) {
+  const own = getField(ctx.root, segments);
+  return own !== undefined ? own : includingValue(ctx, segments);
+}
+
+// what the files including this one have at the include point (ctx.outer)
+function includingValue(ctx, segments) {
+  for (let c = ctx; c.outer; c = c.outer) {
+    segments = [...c.outer.prefix, ...segments];
+    const value = getField(c.outer.root, segments);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+/**
+ * getField / setField => like getPath / setPath, but never walking into a
+ * marker: fields set below one go into an object layered on top of it
+ * (a MERGE marker's last layer), and that's also where they're read back
+ */
+function getField(obj, segments) {
+  let cur = obj;
+  for (const key of segments) {
+    cur = isMarker(cur) ? overlayOf(cur) : cur;
+    cur = ownValue(cur, key);
+  }
+  return cur;
+}
+
+// inherited properties (`constructor`, ...) aren't config values
+function ownValue(obj, key) {
+  return obj &&
+    typeof obj === "object" &&
+    Object.prototype.hasOwnProperty.call(obj, key)
+    ? obj[key]
+    : undefined;
+}
+
+function setField(obj, segments, value) {
+  if (!segments.length) return;
+  checkKeys(segments);
+  let cur = obj;
+  for (const key of segments.slice(0, -1)) {
+    if (isMarker(cur[key])) {
+      cur[key] = withOverlay(cur[key]);
+    } else if (!cur[key] || typeof cur[key] !== "object") {
+      cur[key] = {};
+    }
+    cur = isMarker(cur[key]) ? overlayOf(cur[key]) : cur[key];
+  }
+  cur[segments[segments.length - 1]] = value;
+}
+
+/**
+ * matchEnvPath(root, segments, source, { foldCase, existingOnly }) => the
+ * path an environment override goes to, or null to leave it out:
+ *   foldCase => a segment picks the existing key that matches ignoring case;
+ *     a new one in capitals is lowercased (DB_PASSWORD => db.password)
+ *   existingOnly => null unless the whole path is already there
+ * A numeric segment indexes an array, at most one past its end; no segments
+ * at all (`_`) is left out too.
+ */
+function matchEnvPath(root, segments, source, { foldCase, existingOnly }) {
+  if (!segments.length) return null;
+  const out = [];
+  let cur = root;
+  for (const segment of segments) {
+    cur = isMarker(cur) ? overlayOf(cur) : cur;
+    if (Array.isArray(cur) && Number(segment) > cur.length) {
+      throw new Error(
+        `HOCON: ${source.env} => index ${segment} is past the end of ${renderPath(out)} (${cur.length} elements)`,
+      );
+    }
+    const key =
+      cur && typeof cur === "object" ? findKey(cur, segment, foldCase) : null;
+    if (key === null) {
+      if (existingOnly) return null;
+      const rest = segments.slice(out.length);
+      return [...out, ...(foldCase ? rest.map(foldEnvSegment) : rest)];
+    }
+    out.push(key);
+    cur = cur[key];
+  }
+  return out;
+}
+
+/**
+ * typedOverride(value, existing, coerce, { source, segments, sensitive }) =>
+ * an env / argv override as it goes into the config: text is typed like an
+ * unquoted value in a file ("8080" => 8080, "false" => false); with coerce,
+ * like the value it replaces ("8080" stays a string over a string), throwing
+ * when it can't be (the value redacted on a sensitive path). Lists and
+ * objects (JSON / HOCON values) are used as parsed.
+ */
+function typedOverride(
+  value,
+  existing,
+  coerce,
+  { source, segments, sensitive },
+) {
+  const expected =
+    coerce && existing != null && !isMarker(existing) ? typeOf(existing) : null;
+  if (!expected) {
+    return typeof value === "string" ? maybeConvertPrimitive(value) : value;
+  }
+  const out = typeof value === "string" ? fromText(value, expected) : value;
+  if (out === undefined || typeOf(out) !== expected) {
+    throw new Error(
+      `HOCON: ${source.env || source.arg} => ${renderPath(segments)} expects ${TYPE_NAMES[expected]}, got ${isSensitive(sensitive, segments) ? REDACTED : JSON.stringify(value)}`,
+    );
+  }
+  return out;
+}
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  boolean: "a boolean",
+  list: "a list",
+  object: "an object",
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "list";
+  return isPlainObject(value) ? "object" : typeof value;
+}
+
+function findKey(obj, segment, foldCase) {
+  if (Array.isArray(obj)) {
+    return /^(0|[1-9]\d*)$/.test(segment) && Number(segment) < obj.length
+      ? segment
+      : null;
+  }
+  if (Object.prototype.hasOwnProperty.call(obj, segment)) return segment;
+  if (!foldCase) return null;
+  const lower = segment.toLowerCase();
+  const found = Object.keys(obj).find((k) => k.toLowerCase() === lower);
+  return found === undefined ? null : found;
+}
+
+function withOverlay(marker) {
+  return overlayOf(marker) ? marker : { __type: "MERGE", layers: [marker, {}] };
+}
+
+function overlayOf(marker) {
+  const top =
+    marker.__type === "MERGE" && marker.layers[marker.layers.length - 1];
+  return isPlainObject(top) ? top : undefined;
+}
+
+/**
+ * evaluateValue => AST value node => JS value (or a REF / FALLBACK marker)
+ */
+function evaluateValue(node, ctx) {
+  const { debug } = ctx;
+  switch (node.type) {
+    case "String":
+      return evaluateString(node, debug);
+    case "Literal":
+      return node.value;
+    case "Substitution":
+      // ${scheme:argument} => read in the final pass, if it's still there
+      if (node.scheme) {
+        return {
+          __type: "LOOKUP",
+          node,
+          file: ctx.filePath,
+          baseDir: ctx.baseDir,
+        };
+      }
+      return substitute(node, ctx);
+    case "Object": {
+      const obj = {};
+      evaluateFields(node.fields, obj, ctx);
+      return obj;
+    }
+    case "Array": {
+      // arrays are tracked as a whole, not per element
+      const elCtx = ctx.origins ? { ...ctx, origins: null } : ctx;
+      return node.elements.map((el) => evaluateValue(el, elCtx));
+    }
+    case "Fallback":
+      return {
+        __type: "FALLBACK",
+        main: evaluateValue(node.main, ctx),
+        fallback: evaluateValue(node.fallback, ctx),
+      };
+    case "Concat":
+      return evaluateConcat(node, ctx);
+    default:
+      throw new Error(`HOCON: Unexpected node type => ${node.type}`);
+  }
+}
+
+/**
+ * evaluateString => typed expansions for unquoted text, ?VAR shorthand,
+ * quoted text always stays a string
+ */
+function evaluateString(node, debug) {
+  if (node.quote !== null) return node.value;
+
+  let m = node.value.match(/^\?([\w_]+)$/);
+  if (m) {
+    return maybeConvertPrimitive(safeEnvLookup(m[1], debug), debug);
+  }
+  return maybeConvertPrimitive(node.value, debug);
+}
+
+/**
+ * substitute => ${path}: the earlier value when it refers to the field being
+ * defined (or something inside it), a REF marker for the final pass otherwise.
+ *
+ * ${?path} is the same, but missing is fine (undefined, which drops out of a
+ * concatenation). Either way the environment is only asked in the final pass,
+ * when the config has no such path at all.
+ */
+function substitute(node, ctx) {
+  const ref = {
+    __type: "REF",
+    path: node.path,
+    base: ctx.includedAt,
+    optional: node.optional,
+    expr: node.expr,
+    file: ctx.filePath,
+    line: node.line,
+    col: node.col,
+  };
+  const { prefix } = ctx;
+  const self =
+    prefix.length > 0 &&
+    prefix.length <= node.path.length &&
+    prefix.every((p, i) => node.path[i] === p);
+  if (!self) return ref;
+  const previous = earlierValue(ctx, node.path);
+  if (previous !== undefined) return deepClone(previous);
+  return missingSubstitution(ref, node.optional, ctx.debug);
+}
+
+/**
+ * evaluateConcat => arrays concatenate, objects merge, anything else joins as
+ * a string; with a substitution still pending, all of that waits for the
+ * final pass (a CONCAT marker)
+ *
+ * Each piece keeps the exact whitespace in front of it (`before`) and, for
+ * unquoted text, its source (`text`), so `1.50 EUR` stays "1.50 EUR".
+ */
+function evaluateConcat(node, ctx) {
+  const pieces = [];
+  let before = "";
+  for (const part of node.parts) {
+    if (part.type === "Whitespace") {
+      if (pieces.length) before += part.value;
+      continue;
+    }
+    const piece = { value: evaluateValue(part, ctx), before };
+    if (
+      part.type === "String" &&
+      part.quote === null &&
+      part.value[0] !== "?"
+    ) {
+      piece.text = part.value;
+    }
+    pieces.push(piece);
+    before = "";
+  }
+  if (pieces.some((p) => isMarker(p.value))) {
+    return { __type: "CONCAT", pieces };
+  }
+  return joinPieces(pieces, ctx.debug);
+}
+
+function joinPieces(allPieces, debug) {
+  // a missing ${?...} drops out, with the whitespace in front of it
+  const pieces = allPieces
+    .filter((p) => p.value !== undefined)
+    .map((p, i) => (i === 0 ? { ...p, before: "" } : p));
+  if (!pieces.length) return undefined;
+  const values = pieces.map((p) => p.value);
+
+  // if all arrays => merge
+  if (values.every((x) => Array.isArray(x))) {
+    return values.reduce((acc, arr) => acc.concat(arr), []);
+  }
+  // if all objects => merge
+  if (values.every((x) => isPlainObject(x))) {
+    let mergedObj = {};
+    for (const objVal of values) {
+      mergeObjs(mergedObj, objVal, debug);
+    }
+    return mergedObj;
+  }
+
+  // else => string concat
+  const mixed = values.find((x) => x && typeof x === "object");
+  if (mixed) {
+    throw new Error(
+      `HOCON: Can't concatenate ${Array.isArray(mixed) ? "an array" : "an object"} with a string => ${JSON.stringify(mixed)}`,
+    );
+  }
+  return pieces
+    .map(({ value, before, text }) => before + (text ?? value ?? ""))
+    .join("");
+}
+
+/**
+ * resolveMarkers(root, debug, lookups, [origins]) => replace every REF /
+ * LOOKUP / CONCAT / FALLBACK / MERGE marker in the tree with its value, in
+ * place. A substitution sees the final value of its path, resolving whatever
+ * that depends on first; `stack` holds the paths being resolved, so a path
+ * that needs itself is reported as a cycle. Only lookups still in the tree
+ * are read, so one that a later definition or an override replaced never runs.
+ * A missing ${?...} that kept the old value takes its origin back too.
+ */
+function resolveMarkers(root, debug, lookups, origins = null) {
+  resolveTree({ root, debug, lookups, origins, stack: [] }, root, []);
+}
+
+function resolveTree(state, node, segments) {
+  if (!node || typeof node !== "object" || isMarker(node)) return;
+  for (const key of Object.keys(node)) {
+    if (isMarker(node[key])) {
+      resolveSlot(state, node, key, [...segments, key]);
+    } else {
+      resolveTree(state, node[key], [...segments, key]);
+    }
+  }
+}
+
+function resolveSlot(state, parent, key, segments) {
+  const id = renderPath(segments);
+  const at = state.stack.indexOf(id);
+  if (at >= 0) {
+    const cycle = [...state.stack.slice(at), id].join(" -> ");
+    throw new Error(`HOCON: Substitution cycle => ${cycle}`);
+  }
+  state.stack.push(id);
+  parent[key] = resolveValue(state, parent[key], segments, false);
+  state.stack.pop();
+  // a missing ${?...} leaves the field unset
+  if (parent[key] === undefined && !Array.isArray(parent)) delete parent[key];
+  return parent[key];
+}
+
+/**
+ * resolveValue => `value` with no markers left; `optional` (the main side
+ * of X or Y) turns a missing substitution into undefined instead of an error
+ */
+function resolveValue(state, value, segments, optional) {
+  if (!isMarker(value)) {
+    resolveTree(state, value, segments);
+    return value;
+  }
+  switch (value.__type) {
+    case "REF":
+      return lookupRef(state, value, optional || value.optional);
+    case "LOOKUP":
+      return lookup(
+        value.node,
+        {
+          lookups: state.lookups,
+          filePath: value.file,
+          baseDir: value.baseDir,
+        },
+        optional,
+      );
+    case "CONCAT": {
+      const pieces = value.pieces.map((p) => ({
+        ...p,
+        value: resolveValue(state, p.value, segments, optional),
+      }));
+      return joinPieces(pieces, state.debug);
+    }
+    case "FALLBACK": {
+      const main = resolveValue(state, value.main, segments, true);
+      if (!isSkipped(main)) return main;
+      if (value.keep && state.origins) state.origins.revert(segments);
+      return resolveValue(state, value.fallback, segments, optional);
+    }
+    case "MERGE":
+      // later layers win; two objects merge
+      return value.layers
+        .map((layer) => resolveValue(state, layer, segments, optional))
+        .reduce((acc, layer) => {
+          if (layer == null) return acc;
+          return isPlainObject(acc) && isPlainObject(layer)
+            ? mergeObjs(acc, layer, state.debug)
+            : layer;
+        });
+    default:
+      throw new Error(`HOCON: Unexpected marker => ${value.__type}`);
+  }
+}
+
+// missing, or a partial array of nothing ([undefined])
+function isSkipped(value) {
+  return (
+    value == null ||
+    (Array.isArray(value) && value.length === 1 && value[0] == null)
+  );
+}
+
+// inside an include nested under a key (ref.base), relative to that key
+// first, then from the root
+function lookupRef(state, ref, optional) {
+  const candidates = ref.base.length
+    ? [[...ref.base, ...ref.path], ref.path]
+    : [ref.path];
+  for (const segments of candidates) {
+    const node = findResolved(state, segments);
+    if (node === undefined) continue;
+    // whatever sits below the target must be final too
+    state.stack.push(renderPath(segments));
+    resolveTree(state, node, segments);
+    state.stack.pop();
+    return deepClone(node);
+  }
+  return missingSubstitution(ref, optional, state.debug);
+}
+
+// the value at `segments`, resolving markers on the way (undefined if missing)
+function findResolved(state, segments) {
+  let node = state.root;
+  for (let i = 0; i < segments.length; i++) {
+    if (!node || typeof node !== "object") return undefined;
+    const key = segments[i];
+    if (isMarker(ownValue(node, key))) {
+      resolveSlot(state, node, key, segments.slice(0, i + 1));
+    }
+    node = ownValue(node, key);
+  }
+  return node;
+}
+
+/**
+ * missingSubstitution => ${path} isn't in the config: an environment variable
+ * of that name, undefined when optional, an error otherwise
+ */
+function missingSubstitution(ref, optional, debug) {
+  const fromEnv = safeEnvLookup(ref.expr, debug);
+  if (fromEnv != null) return maybeConvertPrimitive(fromEnv, debug);
+  if (optional) return undefined;
+  const where = `${ref.file || "<string>"}:${ref.line}:${ref.col}`;
+  throw new Error(
+    `HOCON: Could not resolve substitution \${${ref.expr}} (${where})`,
+  );
+}
+
+module.exports = {
+  resolveAst,
+  preloadIncludes,
+};
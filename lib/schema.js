@@ -0,0 +1,221 @@
+/**
+ * schema.js => declarative validation of a resolved config.
+ *
+ *   const schema = {
+ *     server: {
+ *       type: "object",
+ *       properties: {
+ *         host: { type: "string", default: "localhost" },
+ *         port: { type: "int", required: true, min: 1, max: 65535 },
+ *       },
+ *     },
+ *     logLevel: { type: "string", enum: ["debug", "info", "warn"] },
+ *     hosts: { type: "array", items: { type: "string" } },
+ *     timeout: { type: "duration" }, // "30s" => 30000 (ms)
+ *   };
+ *
+ * Spec keys: type, required, default, enum, min, max (numbers; length for
+ * strings and arrays), properties (objects), items (arrays) and
+ * validate(value, path) => true | false | "message".
+ *
+ * `sensitive: true` keeps the value out of error messages (and out of debug
+ * output and stringify(), see sensitive.js), as does a sensitive pattern
+ * matching its path.
+ *
+ * Strings are coerced to the declared type where that is unambiguous
+ * ("8080" => 8080, "false" / "off" => false, "30s" => 30000; the same text
+ * coerceOverrides accepts). Every violation is collected and thrown at once.
+ */
+const { SchemaValidationError } = require("./errors");
+const { fromText, deepClone } = require("./utils");
+const { parseDuration, parseBytes } = require("./units");
+const {
+  REDACTED,
+  sensitiveRules,
+  isSensitive,
+  getSensitive,
+} = require("./sensitive");
+
+const TYPES = {
+  any: {
+    check: () => true,
+    coerce: (v) => v,
+  },
+  string: {
+    check: (v) => typeof v === "string",
+    coerce: (v) =>
+      typeof v === "number" || typeof v === "boolean" ? String(v) : v,
+  },
+  number: {
+    check: (v) => typeof v === "number" && !Number.isNaN(v),
+    coerce: (v) => fromTextOr(v, "number"),
+  },
+  int: {
+    check: (v) => Number.isInteger(v),
+    coerce: (v) => fromTextOr(v, "number"),
+  },
+  boolean: {
+    check: (v) => typeof v === "boolean",
+    coerce: (v) => fromTextOr(v, "boolean"),
+  },
+  object: {
+    check: (v) => v != null && typeof v === "object" && !Array.isArray(v),
+    coerce: (v) => v,
+  },
+  array: {
+    check: (v) => Array.isArray(v),
+    coerce: (v) => v,
+  },
+  duration: {
+    check: (v) => typeof v === "number",
+    coerce: (v) => {
+      const ms = typeof v === "string" ? parseDuration(v) : v;
+      return ms === undefined ? v : ms;
+    },
+  },
+  bytes: {
+    check: (v) => typeof v === "number",
+    coerce: (v) => {
+      const b = typeof v === "string" ? parseBytes(v) : v;
+      return b === undefined ? v : b;
+    },
+  },
+};
+TYPES.integer = TYPES.int;
+
+// a string that doesn't read as `type` is left for the check to report
+function fromTextOr(v, type) {
+  if (typeof v !== "string") return v;
+  const out = fromText(v, type);
+  return out === undefined ? v : out;
+}
+
+function describe(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+/**
+ * validateConfig(config, schema, [sensitive]) => config (coerced + defaults
+ * applied in place)
+ *   schema is a map of key => spec, or a root { type: "object", properties }
+ *   sensitive => more paths whose values stay out of messages (patterns)
+ *   throws SchemaValidationError listing every violation with its dotted path
+ */
+function validateConfig(config, schema, sensitive = null) {
+  const state = {
+    errors: [],
+    rules: [...getSensitive(config), ...sensitiveRules(sensitive, schema)],
+  };
+  const properties =
+    schema.type === "object" && schema.properties ? schema.properties : schema;
+  validateProperties(config, properties, { path: "", segments: [] }, state);
+  if (state.errors.length) throw new SchemaValidationError(state.errors);
+  return config;
+}
+
+// at => { path, segments } of `obj`: the dotted path for messages, the
+// segments for the sensitive rules
+function validateProperties(obj, properties, at, state) {
+  for (const [key, spec] of Object.entries(properties || {})) {
+    const out = validateValue(obj[key], spec, child(at, key), state);
+    if (out !== undefined) obj[key] = out;
+  }
+}
+
+function child({ path, segments }, key) {
+  return {
+    path:
+      typeof key === "number"
+        ? `${path}[${key}]`
+        : path
+          ? `${path}.${key}`
+          : key,
+    segments: [...segments, String(key)],
+  };
+}
+
+/**
+ * validateValue => the (possibly coerced / defaulted) value at `at.path`
+ */
+function validateValue(value, spec, at, state) {
+  const { path } = at;
+  const fail = (message) => state.errors.push({ path, message });
+  const secret = isSensitive(state.rules, at.segments);
+  const show = (v) => (secret ? REDACTED : JSON.stringify(v));
+  const type = spec.type || "any";
+  const handler = TYPES[type];
+  if (!handler) {
+    fail(`unknown schema type "${type}"`);
+    return value;
+  }
+
+  if (value == null) {
+    if (spec.default !== undefined) {
+      value = deepClone(spec.default);
+    } else if (type === "object" && spec.properties && !spec.required) {
+      // an optional object still gets its children's defaults,
+      // but its required children only matter once it exists
+      const filled = {};
+      validateProperties(filled, spec.properties, at, { ...state, errors: [] });
+      return Object.keys(filled).length ? filled : value;
+    } else {
+      if (spec.required) fail("is required");
+      return value;
+    }
+  }
+
+  value = handler.coerce(value);
+  if (!handler.check(value)) {
+    fail(`expected ${type}, got ${describe(value)} (${show(value)})`);
+    return value;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    fail(
+      `must be one of ${spec.enum.map((e) => JSON.stringify(e)).join(", ")}, got ${show(value)}`,
+    );
+  }
+
+  const size =
+    typeof value === "number"
+      ? value
+      : typeof value === "string" || Array.isArray(value)
+        ? value.length
+        : undefined;
+  const what = typeof value === "number" ? "be" : "have length";
+  // for a number, size is the value itself
+  const got = typeof value === "number" ? show(value) : size;
+  if (size !== undefined && spec.min !== undefined && size < spec.min) {
+    fail(`must ${what} >= ${spec.min}, got ${got}`);
+  }
+  if (size !== undefined && spec.max !== undefined && size > spec.max) {
+    fail(`must ${what} <= ${spec.max}, got ${got}`);
+  }
+
+  if (type === "object" && spec.properties) {
+    validateProperties(value, spec.properties, at, state);
+  }
+  if (type === "array" && spec.items) {
+    value.forEach((item, i) => {
+      value[i] = validateValue(item, spec.items, child(at, i), state);
+    });
+  }
+
+  if (typeof spec.validate === "function") {
+    let verdict;
+    try {
+      verdict = spec.validate(value, path);
+    } catch (err) {
+      verdict = err.message;
+    }
+    if (verdict === false) fail("failed custom validation");
+    else if (typeof verdict === "string") fail(verdict);
+  }
+  return value;
+}
+
+module.exports = {
+  validateConfig,
+};
@@ -0,0 +1,135 @@
+/**
+ * sensitive.js => which paths of a config hold secrets, and copies of it with
+ * those values replaced by "[REDACTED]".
+ *
+ *   parseFile("app.conf", { sensitive: ["*.password", "api.*Key"] });
+ *
+ * A pattern is a path (same syntax as Config paths) matched against the end
+ * of a value's path, ignoring case; `*` inside a segment matches any text.
+ * So `password` matches every key of that name, `*.password` one with a
+ * parent, `*token*` any key containing "token". A schema spec with
+ * `sensitive: true` marks exactly its own path, and a sensitive object hides
+ * everything inside it.
+ *
+ * The parsed object keeps the real values for the application. Debug output,
+ * stringify(), the CLI and Config's toSafeJSON() / inspect / explain() and
+ * error messages show the placeholder instead.
+ */
+const { parsePathExpression } = require("./parser");
+
+const REDACTED = "[REDACTED]";
+
+// parsed root object => its rules (see sensitiveRules)
+const RULES = new WeakMap();
+
+/**
+ * sensitiveRules([patterns], [schema]) => [{ segments: RegExp[], anchored }]
+ *   anchored rules (from the schema) match from the root, the rest match
+ *   the end of a path
+ */
+function sensitiveRules(patterns = null, schema = null) {
+  const rules = [].concat(patterns || []).map((pattern) => ({
+    segments: parsePathExpression(String(pattern)).map(segmentRegex),
+    anchored: false,
+  }));
+  if (schema) {
+    const properties =
+      schema.type === "object" && schema.properties
+        ? schema.properties
+        : schema;
+    schemaRules(properties, [], rules);
+  }
+  return rules;
+}
+
+function schemaRules(properties, prefix, out) {
+  for (const [key, spec] of Object.entries(properties || {})) {
+    const segments = [...prefix, exact(key)];
+    collectSpec(spec, segments, out);
+  }
+  return out;
+}
+
+function collectSpec(spec, segments, out) {
+  if (!spec || typeof spec !== "object") return;
+  if (spec.sensitive) {
+    out.push({ segments, anchored: true });
+    return;
+  }
+  if (spec.properties) schemaRules(spec.properties, segments, out);
+  // any element of the array
+  if (spec.items) collectSpec(spec.items, [...segments, /^/], out);
+}
+
+function segmentRegex(segment) {
+  const body = segment
+    .split("*")
+    .map((s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}$`, "is");
+}
+
+function exact(key) {
+  return new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`);
+}
+
+/**
+ * isSensitive(rules, segments) => true if the path, or an object it sits
+ * in, matches a rule
+ */
+function isSensitive(rules, segments) {
+  if (!rules || !rules.length) return false;
+  for (let end = 1; end <= segments.length; end++) {
+    const head = segments.slice(0, end).map(String);
+    if (rules.some((rule) => matches(rule, head))) return true;
+  }
+  return false;
+}
+
+function matches({ segments, anchored }, path) {
+  if (
+    anchored ? path.length !== segments.length : path.length < segments.length
+  ) {
+    return false;
+  }
+  const offset = path.length - segments.length;
+  return segments.every((re, i) => re.test(path[offset + i]));
+}
+
+/**
+ * redact(value, rules, [prefix]) => a deep copy with every sensitive value
+ * replaced by REDACTED; prefix => where `value` sits in the config
+ */
+function redact(value, rules, prefix = []) {
+  if (isSensitive(rules, prefix)) return REDACTED;
+  if (Array.isArray(value)) {
+    return value.map((v, i) => redact(v, rules, [...prefix, String(i)]));
+  }
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = redact(v, rules, [...prefix, k]);
+    }
+    return out;
+  }
+  return value;
+}
+
+/** attachSensitive(root, rules) => root, its rules readable via getSensitive */
+function attachSensitive(root, rules) {
+  if (rules.length && root && typeof root === "object") RULES.set(root, rules);
+  return root;
+}
+
+function getSensitive(root) {
+  return (root && typeof root === "object" && RULES.get(root)) || [];
+}
+
+module.exports = {
+  REDACTED,
+  sensitiveRules,
+  isSensitive,
+  redact,
+  attachSensitive,
+  getSensitive,
+};
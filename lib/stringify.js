@@ -0,0 +1,179 @@
+/**
+ * stringify.js => render a resolved config back to text.
+ *
+ *   stringify(config, { format: "hocon", indent: 2, sortKeys: true })
+ *
+ * HOCON output re-parses (parseString) to an identical object; JSON is plain
+ * JSON.stringify and .properties is always flat (`a.b.c=value`). Values
+ * marked sensitive when the config was parsed come out as "[REDACTED]".
+ */
+const { sensitiveRules, getSensitive, redact } = require("./sensitive");
+
+// keys outside this set (dots, spaces, "include", "") are written quoted
+const BARE_KEY = /^[A-Za-z0-9_-]+$/;
+
+const FORMATS = ["json", "hocon", "properties"];
+
+/**
+ * stringify(config, [options]) => string
+ *   options.format   => "json" (default) | "hocon" | "properties"
+ *   options.indent   => spaces per level (default 2; ignored for properties)
+ *   options.sortKeys => emit object keys in sorted order
+ *   options.flatten  => one `a.b.c = value` line per leaf (json: dotted keys)
+ *   options.sensitive => more paths to redact (patterns, see sensitive.js)
+ *   options.redact   => false writes sensitive values out as they are
+ */
+function stringify(config, options = {}) {
+  const {
+    format = "json",
+    indent = 2,
+    sortKeys = false,
+    flatten = false,
+    sensitive = null,
+    redact: redactSecrets = true,
+  } = options;
+  if (!FORMATS.includes(format)) {
+    throw new Error(`HOCON: Unknown output format => ${format}`);
+  }
+  const unit = " ".repeat(indent);
+  const rules = redactSecrets
+    ? [...getSensitive(config), ...sensitiveRules(sensitive)]
+    : [];
+  const safe = rules.length ? redact(config, rules) : config;
+  const value = sortKeys ? sortDeep(safe) : safe;
+
+  if (format === "properties") {
+    return flattenLeaves(value, [], true)
+      .map(
+        ([path, v]) =>
+          `${escapeProperty(path.join("."), true)}=${propertyValue(v)}`,
+      )
+      .join("\n");
+  }
+  if (format === "json") {
+    if (!flatten) return JSON.stringify(value, null, indent);
+    const flat = {};
+    for (const [path, v] of flattenLeaves(value, [], false)) {
+      flat[renderPath(path)] = v;
+    }
+    return JSON.stringify(flat, null, indent);
+  }
+  if (flatten) {
+    return flattenLeaves(value, [], false)
+      .map(
+        ([path, v]) => `${renderPath(path)} = ${renderHoconValue(v, unit, "")}`,
+      )
+      .join("\n");
+  }
+  return renderHoconFields(value, unit, "");
+}
+
+function sortDeep(value) {
+  if (Array.isArray(value)) return value.map(sortDeep);
+  if (!value || typeof value !== "object") return value;
+  const out = {};
+  for (const key of Object.keys(value).sort()) out[key] = sortDeep(value[key]);
+  return out;
+}
+
+/**
+ * flattenLeaves(value, path, intoArrays) => [[pathSegments, leaf], ...]
+ *   empty objects stay leaves so they survive a round trip;
+ *   arrays are leaves too unless intoArrays (=> ports.0, ports.1, ...)
+ */
+function flattenLeaves(value, path, intoArrays, out = []) {
+  let entries = null;
+  if (Array.isArray(value)) {
+    if (intoArrays) entries = value.map((v, i) => [String(i), v]);
+  } else if (value && typeof value === "object") {
+    entries = Object.entries(value);
+  }
+  if (!entries || (!entries.length && path.length)) {
+    out.push([path, value]);
+    return out;
+  }
+  for (const [key, v] of entries) {
+    if (v !== undefined) flattenLeaves(v, [...path, key], intoArrays, out);
+  }
+  return out;
+}
+
+function renderKey(key) {
+  return BARE_KEY.test(key) && key !== "include" ? key : JSON.stringify(key);
+}
+
+function renderPath(segments) {
+  return segments.map(renderKey).join(".");
+}
+
+function renderHoconFields(obj, unit, indent) {
+  const lines = [];
+  for (const [key, value] of Object.entries(obj)) {
+    if (value === undefined) continue;
+    const isObj = value && typeof value === "object" && !Array.isArray(value);
+    const sep = isObj ? " " : " = ";
+    lines.push(
+      `${indent}${renderKey(key)}${sep}${renderHoconValue(value, unit, indent)}`,
+    );
+  }
+  return lines.join("\n");
+}
+
+function renderHoconValue(value, unit, indent) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) {
+    const items = value.filter((v) => v !== undefined);
+    if (!items.some((v) => v && typeof v === "object")) {
+      return `[${items.map((v) => renderHoconValue(v, unit, indent)).join(", ")}]`;
+    }
+    const inner = indent + unit;
+    const rendered = items.map((v) => inner + renderHoconValue(v, unit, inner));
+    return `[\n${rendered.join(",\n")}\n${indent}]`;
+  }
+  if (typeof value === "object") {
+    const body = renderHoconFields(value, unit, indent + unit);
+    return body ? `{\n${body}\n${indent}}` : "{}";
+  }
+  if (typeof value === "string") return renderString(value);
+  return String(value);
+}
+
+/**
+ * renderString => `"""` for multi-line text (read back raw, no escapes),
+ * a JSON string literal otherwise
+ */
+function renderString(str) {
+  if (str.includes("\n") && !str.includes('"""')) return `"""${str}"""`;
+  return JSON.stringify(str);
+}
+
+/**
+ * escapeProperty => java.util.Properties escaping
+ *   keys escape every separator / comment char, values only a leading space
+ */
+function escapeProperty(str, isKey) {
+  let out = "";
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (ch === "\\") out += "\\\\";
+    else if (ch === "\n") out += "\\n";
+    else if (ch === "\r") out += "\\r";
+    else if (ch === "\t") out += "\\t";
+    else if (ch === "\f") out += "\\f";
+    else if (isKey && " =:#!".includes(ch)) out += `\\${ch}`;
+    else if (!isKey && ch === " " && i === 0) out += "\\ ";
+    else out += ch;
+  }
+  return out;
+}
+
+// null, [] and {} have no .properties spelling => empty value
+function propertyValue(value) {
+  if (value === null || typeof value === "object") return "";
+  return escapeProperty(String(value), false);
+}
+
+module.exports = {
+  stringify,
+  renderPath,
+};
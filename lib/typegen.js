@@ -0,0 +1,73 @@
+/**
+ * typegen.js => infer a TypeScript interface from a resolved config.
+ *
+ *   toTypeScript({ server: { port: 8080, hosts: ["a"] } }, { name: "AppConfig" })
+ *   // export interface AppConfig {
+ *   //   server: {
+ *   //     port: number;
+ *   //     hosts: string[];
+ *   //   };
+ *   // }
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * toTypeScript(config, [options]) => .d.ts source
+ *   options.name   => interface name (default "Config")
+ *   options.source => file name mentioned in the header comment
+ */
+function toTypeScript(config, options = {}) {
+  const { name = "Config", source = null } = options;
+  const header = source
+    ? `// Generated by hocon-config from ${source}. Do not edit by hand.\n`
+    : "// Generated by hocon-config. Do not edit by hand.\n";
+  return `${header}\nexport interface ${name} ${objectType(config, "")}\n`;
+}
+
+function inferType(value, indent) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return arrayType(value, indent);
+  switch (typeof value) {
+    case "number":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "string":
+      return "string";
+    case "object":
+      return objectType(value, indent);
+    default:
+      return "unknown";
+  }
+}
+
+function objectType(obj, indent) {
+  const inner = `${indent}  `;
+  const lines = [];
+  for (const [key, value] of Object.entries(obj)) {
+    if (value === undefined) continue;
+    const prop = IDENTIFIER.test(key) ? key : JSON.stringify(key);
+    lines.push(`${inner}${prop}: ${inferType(value, inner)};`);
+  }
+  if (!lines.length) return "{}";
+  return `{\n${lines.join("\n")}\n${indent}}`;
+}
+
+function arrayType(arr, indent) {
+  const elements = [];
+  for (const el of arr) {
+    if (el === undefined) continue;
+    const t = inferType(el, indent);
+    if (!elements.includes(t)) elements.push(t);
+  }
+  if (!elements.length) return "unknown[]";
+  if (elements.length === 1 && !elements[0].includes("\n")) {
+    return `${elements[0]}[]`;
+  }
+  return `Array<${elements.join(" | ")}>`;
+}
+
+module.exports = {
+  toTypeScript,
+};
@@ -0,0 +1,132 @@
+/**
+ * units.js => HOCON duration and memory-size strings ("30s", "512MiB", "1.5 hours").
+ *
+ * A bare number is milliseconds for durations and bytes for sizes, as in the spec.
+ * Size units follow the spec's case rules: "kB"/"KB"/"kilobytes" are powers of
+ * ten, "K"/"k"/"Ki"/"KiB"/"kibibytes" are powers of two.
+ */
+
+// durations => nanoseconds per unit, so conversions stay exact
+const DURATION_UNITS = {};
+[
+  [1, ["ns", "nano", "nanos", "nanosecond", "nanoseconds"]],
+  [1e3, ["us", "micro", "micros", "microsecond", "microseconds"]],
+  [1e6, ["ms", "milli", "millis", "millisecond", "milliseconds"]],
+  [1e9, ["s", "second", "seconds"]],
+  [60e9, ["m", "minute", "minutes"]],
+  [3600e9, ["h", "hour", "hours"]],
+  [86400e9, ["d", "day", "days"]],
+].forEach(([nanos, names]) =>
+  names.forEach((n) => (DURATION_UNITS[n] = nanos)),
+);
+
+// sizes => bytes per unit
+const SIZE_UNITS = { B: 1, b: 1, byte: 1, bytes: 1 };
+[
+  ["K", "kilo", "kibi"],
+  ["M", "mega", "mebi"],
+  ["G", "giga", "gibi"],
+  ["T", "tera", "tebi"],
+  ["P", "peta", "pebi"],
+  ["E", "exa", "exbi"],
+].forEach(([letter, si, iec], i) => {
+  const decimal = Math.pow(1000, i + 1);
+  const binary = Math.pow(1024, i + 1);
+  for (const n of [`${letter}B`, `${si}byte`, `${si}bytes`]) {
+    SIZE_UNITS[n] = decimal;
+  }
+  if (letter === "K") SIZE_UNITS.kB = decimal;
+  for (const n of [
+    letter,
+    letter.toLowerCase(),
+    `${letter}i`,
+    `${letter}iB`,
+    `${iec}byte`,
+    `${iec}bytes`,
+  ]) {
+    SIZE_UNITS[n] = binary;
+  }
+});
+
+function splitUnit(value) {
+  const m = String(value)
+    .trim()
+    .match(/^([+-]?\d+(?:\.\d+)?)\s*([A-Za-z]*)$/);
+  return m ? { amount: parseFloat(m[1]), unit: m[2] } : null;
+}
+
+/**
+ * parseDuration(value, [unit]) => number of `unit` (default "ms"),
+ * or undefined if value isn't a duration. Numbers are taken as milliseconds.
+ */
+function parseDuration(value, unit = "ms") {
+  const target = DURATION_UNITS[unit];
+  if (target === undefined) {
+    throw new Error(`HOCON: Unknown duration unit => ${unit}`);
+  }
+  if (typeof value === "number") return (value * DURATION_UNITS.ms) / target;
+  if (typeof value !== "string") return undefined;
+  const parts = splitUnit(value);
+  if (!parts) return undefined;
+  const from = DURATION_UNITS[parts.unit || "ms"];
+  if (from === undefined) return undefined;
+  return (parts.amount * from) / target;
+}
+
+/**
+ * parseBytes(value) => number of bytes, or undefined if value isn't a size.
+ * Numbers are taken as bytes; negative sizes are rejected.
+ */
+function parseBytes(value) {
+  if (typeof value === "number") return value >= 0 ? value : undefined;
+  if (typeof value !== "string") return undefined;
+  const parts = splitUnit(value);
+  if (!parts || parts.amount < 0) return undefined;
+  const factor = SIZE_UNITS[parts.unit || "B"];
+  if (factor === undefined) return undefined;
+  return Math.round(parts.amount * factor);
+}
+
+/**
+ * convertUnits(node, { duration, bytes }) => in place, turn every string
+ * leaf that reads as a duration (into `duration` units, e.g. "ms") and/or
+ * a size (into bytes) into a number. Durations are tried first, so with
+ * both enabled "10m" is ten minutes; write "10M"/"10MiB" for sizes.
+ */
+function convertUnits(node, opts) {
+  const duration = opts.duration === true ? "ms" : opts.duration;
+  const convert = (v) => {
+    if (typeof v !== "string" || !splitUnit(v) || !/[A-Za-z]$/.test(v)) {
+      return v;
+    }
+    if (duration) {
+      const d = parseDuration(v, duration);
+      if (d !== undefined) return d;
+    }
+    if (opts.bytes) {
+      const b = parseBytes(v);
+      if (b !== undefined) return b;
+    }
+    return v;
+  };
+  const walk = (x) => {
+    if (Array.isArray(x)) {
+      for (let i = 0; i < x.length; i++) x[i] = walk(x[i]);
+      return x;
+    }
+    if (x && typeof x === "object") {
+      for (const k of Object.keys(x)) x[k] = walk(x[k]);
+      return x;
+    }
+    return convert(x);
+  };
+  return walk(node);
+}
+
+module.exports = {
+  DURATION_UNITS,
+  SIZE_UNITS,
+  parseDuration,
+  parseBytes,
+  convertUnits,
+};
@@ -0,0 +1,318 @@
+/**
+ * utils.js => small helpers shared by the resolver and the public entry points:
+ * typed conversions, env lookups, dotted get/set, the include merge and
+ * includeRoot checks.
+ */
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * removeOuterQuotes => remove single or double quotes if raw starts/ends with them
+ */
+function removeOuterQuotes(raw) {
+  if (!raw || raw.length < 2) return { text: raw, removed: false };
+  let s = raw;
+  if (
+    (s.startsWith('"') && s.endsWith('"')) ||
+    (s.startsWith("'") && s.endsWith("'"))
+  ) {
+    s = s.slice(1, -1);
+    return { text: s, removed: true };
+  }
+  return { text: raw, removed: false };
+}
+
+/**
+ * safeEnvLookup => remove outer quotes from env var
+ */
+function safeEnvLookup(key, debug) {
+  // not process.env.constructor & co.
+  if (!Object.prototype.hasOwnProperty.call(process.env, key)) return undefined;
+  let val = process.env[key];
+  if (val == null) return val;
+  let out = removeOuterQuotes(val);
+  if (out.removed) {
+    dbg(debug, `stripped env quotes => ${key}`);
+    return out.text;
+  }
+  return val;
+}
+
+/**
+ * envKeyToPath("MAX__POOL_SIZE") => "MAX_POOL.SIZE": in an environment
+ * variable name `_` separates path segments, `__` is a literal underscore
+ * and `___` a dash
+ */
+function envKeyToPath(key) {
+  return key.replace(/___|__|_/g, (m) => ({ _: ".", __: "_", ___: "-" })[m]);
+}
+
+/**
+ * foldEnvSegment("HOST") => "host": a path segment from a variable name in
+ * capitals is lowercased, mixed case ("Host") is kept
+ */
+function foldEnvSegment(segment) {
+  return segment === segment.toUpperCase() ? segment.toLowerCase() : segment;
+}
+
+/**
+ * maybeConvertPrimitive => parse booleans, null, numeric => keep "2.0" if parse =>2
+ */
+function maybeConvertPrimitive(str, debug) {
+  if (str == null) return str;
+  const raw = String(str).trim();
+
+  // Use /.../i for case-insensitive
+  if (/^true$/i.test(raw)) return true;
+  if (/^false$/i.test(raw)) return false;
+  if (/^null$/i.test(raw)) return null;
+
+  // numeric check stays the same
+  if (/^[+-]?\d+(\.\d+)?$/.test(raw)) {
+    let num = parseFloat(raw);
+    if (!Number.isNaN(num)) {
+      if (raw.includes(".") && Number.isInteger(num)) {
+        dbg(debug, `preserve "2.0" => not 2 => keep string => ${raw}`);
+        return raw;
+      }
+      return num;
+    }
+  }
+  return raw;
+}
+
+// what a boolean setting accepts as text, like Lightbend's getBoolean
+const BOOLEANS = {
+  true: true,
+  yes: true,
+  on: true,
+  false: false,
+  no: false,
+  off: false,
+};
+
+/**
+ * fromText(text, "string" | "number" | "boolean") => text read as that type,
+ * or undefined if it doesn't read as one ("8080" => 8080, "off" => false);
+ * shared by schema coercion and coerceOverrides so both accept the same text
+ */
+function fromText(text, type) {
+  const trimmed = text.trim();
+  switch (type) {
+    case "string":
+      return text;
+    case "number":
+      return /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i.test(trimmed)
+        ? Number(trimmed)
+        : undefined;
+    case "boolean":
+      return BOOLEANS[trimmed.toLowerCase()];
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * isPlainObject => a config object, not an array or an unresolved marker ({ __type })
+ */
+function isPlainObject(x) {
+  return Boolean(
+    x && typeof x === "object" && !Array.isArray(x) && x.__type === undefined,
+  );
+}
+
+/**
+ * isMarker => a value the resolver only knows at the end ({ __type: "REF" | "CONCAT" | ... })
+ */
+function isMarker(x) {
+  return Boolean(x && typeof x === "object" && x.__type !== undefined);
+}
+
+/**
+ * isOptionalMarker => a marker that may resolve to nothing: ${?path},
+ * ${?scheme:arg}, or a concatenation of only those
+ */
+function isOptionalMarker(x) {
+  if (!isMarker(x)) return false;
+  if (x.__type === "REF") return x.optional;
+  if (x.__type === "LOOKUP") return x.node.optional;
+  return (
+    x.__type === "CONCAT" &&
+    x.pieces.every((p) => p.value === undefined || isOptionalMarker(p.value))
+  );
+}
+
+/**
+ * mergeObjs(target, source, [debug], [onAssign]) => source merged into target;
+ * onAssign(pathSegments) is told about every key it actually (re)sets.
+ * An object meeting a marker becomes a MERGE marker, merged once resolved.
+ */
+function mergeObjs(target, source, debug, onAssign = null) {
+  if (!source || typeof source !== "object" || Array.isArray(source)) {
+    return source;
+  }
+  for (const [k, v] of Object.entries(source)) {
+    if (isPlainObject(v) && isPlainObject(target[k])) {
+      mergeObjs(
+        target[k],
+        v,
+        debug,
+        onAssign && ((sub) => onAssign([k, ...sub])),
+      );
+      continue;
+    }
+    if (
+      (isMarker(v) || isMarker(target[k])) &&
+      (isPlainObject(v) || isMarker(v)) &&
+      (isPlainObject(target[k]) || isMarker(target[k]))
+    ) {
+      target[k] = { __type: "MERGE", layers: [target[k], v] };
+    } else if (Array.isArray(v) && Array.isArray(target[k])) {
+      if (v.length === 1 && v[0] == null) {
+        continue; // partial skip
+      } else if (v.length === 1 && v[0] !== undefined) {
+        // ${?...} not known yet => the old element stays if it's missing
+        target[k][0] = isOptionalMarker(v[0])
+          ? {
+              __type: "FALLBACK",
+              main: v[0],
+              fallback: target[k][0],
+              keep: true,
+            }
+          : v[0];
+      } else {
+        target[k] = v;
+      }
+    } else {
+      target[k] = v;
+    }
+    if (onAssign) onAssign([k]);
+  }
+  return target;
+}
+
+// keys that would write into Object.prototype instead of the config
+const UNSAFE_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+/**
+ * checkKeys(segments) => throws if a path segment is __proto__, constructor
+ * or prototype (--__proto__.polluted=yes must not reach Object.prototype)
+ */
+function checkKeys(segments) {
+  const bad = segments.find((s) => UNSAFE_KEYS.has(String(s)));
+  if (bad !== undefined) {
+    throw new Error(`HOCON: Unsafe key '${bad}' => ${segments.join(".")}`);
+  }
+}
+
+/**
+ * setPath / getPath => same as setVal / getVal but with pre-split keys,
+ * so segments may themselves contain dots (e.g. quoted keys). getPath reads
+ * own properties only: `constructor` or `list.length` isn't a config path.
+ */
+function setPath(obj, parts, value) {
+  if (!parts.length) return;
+  checkKeys(parts);
+  let cur = obj;
+  for (let i = 0; i < parts.length - 1; i++) {
+    let p = parts[i];
+    if (!cur[p] || typeof cur[p] !== "object") {
+      cur[p] = {};
+    }
+    cur = cur[p];
+  }
+  cur[parts[parts.length - 1]] = value;
+}
+function getPath(obj, parts) {
+  let c = obj;
+  for (const p of parts) {
+    if (!c || typeof c !== "object") return undefined;
+    if (!Object.prototype.hasOwnProperty.call(c, p)) return undefined;
+    if (Array.isArray(c) && !/^\d+$/.test(p)) return undefined;
+    c = c[p];
+  }
+  return c;
+}
+
+function setVal(obj, dottedKey, value, debug) {
+  setPath(
+    obj,
+    dottedKey.split(".").filter((p) => p.length > 0),
+    value,
+  );
+}
+function getVal(obj, dottedKey) {
+  return getPath(obj, dottedKey.split("."));
+}
+
+/**
+ * realPath(p) / realPathAsync(p) => p with every symlink resolved; for a path
+ * that doesn't exist, its nearest existing parent's real path plus the rest
+ */
+function realPath(p) {
+  try {
+    return fs.realpathSync(p);
+  } catch (err) {
+    const parent = path.dirname(p);
+    return parent === p ? p : path.join(realPath(parent), path.basename(p));
+  }
+}
+async function realPathAsync(p) {
+  try {
+    return await fs.promises.realpath(p);
+  } catch (err) {
+    const parent = path.dirname(p);
+    return parent === p
+      ? p
+      : path.join(await realPathAsync(parent), path.basename(p));
+  }
+}
+
+/**
+ * isWithin(dir, file) => file is dir or below it (compare real paths, see
+ * realPath, or a symlink inside dir leads out of it)
+ */
+function isWithin(dir, file) {
+  const rel = path.relative(dir, file);
+  return !path.isAbsolute(rel) && rel.split(path.sep)[0] !== "..";
+}
+
+function dbg(flag, ...args) {
+  if (flag) console.debug(...args);
+}
+function deepClone(x) {
+  if (Array.isArray(x)) {
+    return x.map(deepClone);
+  }
+  if (x && typeof x === "object") {
+    let copy = {};
+    for (const [k, v] of Object.entries(x)) {
+      copy[k] = deepClone(v);
+    }
+    return copy;
+  }
+  return x;
+}
+
+module.exports = {
+  removeOuterQuotes,
+  safeEnvLookup,
+  envKeyToPath,
+  foldEnvSegment,
+  maybeConvertPrimitive,
+  fromText,
+  isPlainObject,
+  isMarker,
+  isOptionalMarker,
+  mergeObjs,
+  setPath,
+  getPath,
+  checkKeys,
+  setVal,
+  getVal,
+  realPath,
+  realPathAsync,
+  isWithin,
+  dbg,
+  deepClone,
+};
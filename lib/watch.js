@@ -0,0 +1,146 @@
+/**
+ * watch.js => hot reload: re-parse a config whenever it or one of its includes changes.
+ *
+ *   const watcher = watch("app.conf", { envPrefix: "APP_" }, (config, changes) => {
+ *     // changes => [{ path: "db.host", type: "changed", before: "a", after: "b" }]
+ *   });
+ *   watcher.config;  // always the last config that parsed
+ *   watcher.close();
+ *
+ * Files are polled (fs.watchFile), which also catches editors that save by
+ * renaming and optional includes that don't exist yet. A failed re-parse keeps
+ * the previous config and emits "error" (console.warn if nobody listens).
+ */
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { renderPath } = require("./stringify");
+const { dbg } = require("./utils");
+
+class ConfigWatcher extends EventEmitter {
+  /**
+   * @param {string} filePath
+   * @param {object} options  parse() options, plus debounce (ms, default 100)
+   *                          and interval (poll ms, default 250)
+   * @param {Function} load   (filePath, options) => config, i.e. parse
+   */
+  constructor(filePath, options, load) {
+    super();
+    const { debounce = 100, interval = 250, ...parseOptions } = options;
+    this.filePath = path.resolve(filePath);
+    this.parseOptions = parseOptions;
+    this.debounce = debounce;
+    this.interval = interval;
+    this.load = load;
+    this.files = new Set();
+    this.timer = null;
+    this.closed = false;
+    this.onFileChange = this.onFileChange.bind(this);
+
+    // the first parse throws: there's no previous config to fall back to
+    const { config, files } = this.parse();
+    this.config = config;
+    this.updateWatchers(files);
+  }
+
+  parse() {
+    const includedFiles = [];
+    const config = this.load(this.filePath, {
+      ...this.parseOptions,
+      includedFiles,
+    });
+    return { config, files: [this.filePath, ...includedFiles] };
+  }
+
+  /**
+   * updateWatchers(files) => watch exactly `files` (the current include graph)
+   */
+  updateWatchers(files) {
+    const next = new Set(files);
+    for (const file of this.files) {
+      if (!next.has(file)) fs.unwatchFile(file, this.onFileChange);
+    }
+    for (const file of next) {
+      if (!this.files.has(file)) {
+        fs.watchFile(file, { interval: this.interval }, this.onFileChange);
+      }
+    }
+    this.files = next;
+  }
+
+  onFileChange(curr, prev) {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.reload(), this.debounce);
+  }
+
+  /**
+   * reload() => re-parse now; emits "change" (config, changes, previous)
+   * when something differs, "error" (err) when the new version fails
+   */
+  reload() {
+    if (this.closed) return;
+    let next;
+    try {
+      next = this.parse();
+    } catch (err) {
+      if (this.listenerCount("error")) {
+        this.emit("error", err);
+      } else {
+        console.warn(`hocon-config: keeping previous config => ${err.message}`);
+      }
+      return;
+    }
+    this.updateWatchers(next.files);
+    const previous = this.config;
+    const changes = diffConfigs(rootOf(previous), rootOf(next.config));
+    this.config = next.config;
+    dbg(this.parseOptions.debug, `watch => ${changes.length} change(s)`);
+    if (changes.length) this.emit("change", next.config, changes, previous);
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.updateWatchers([]);
+  }
+}
+
+// a Config (asConfig: true) is compared by its plain object
+function rootOf(config) {
+  return config && config.root && typeof config.get === "function"
+    ? config.root
+    : config;
+}
+
+/**
+ * diffConfigs(before, after) => [{ path, type: "added" | "removed" | "changed", before, after }]
+ *   objects are compared key by key, anything else (arrays included) as a whole
+ */
+function diffConfigs(before, after, segments = [], out = []) {
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      diffConfigs(before[key], after[key], [...segments, key], out);
+    }
+    return out;
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return out;
+  const type =
+    before === undefined
+      ? "added"
+      : after === undefined
+        ? "removed"
+        : "changed";
+  out.push({ path: renderPath(segments), type, before, after });
+  return out;
+}
+
+function isObject(x) {
+  return Boolean(x && typeof x === "object" && !Array.isArray(x));
+}
+
+module.exports = {
+  ConfigWatcher,
+  diffConfigs,
+};
@@ -0,0 +1,104 @@
+const path = require("path");
+const { parse, parseAsync } = require("../lib/hoconParser");
+
+const dir = path.join(__dirname, "fixtures", "args");
+const file = path.join(dir, "app.conf");
+
+describe("command-line overrides", () => {
+  const load = (argv, options = {}) =>
+    parse(file, { parseEnv: false, argv, ...options });
+
+  test("--key=value, --key value, flags and -Dkey=value", () => {
+    expect(
+      load([
+        "start",
+        "--name",
+        "app",
+        "--db.port=5432",
+        "--verbose",
+        "--no-color",
+        "-Ddb.host=java-style",
+        "-Dempty",
+        "--offset",
+        "-5",
+      ]),
+    ).toEqual({
+      db: { host: "java-style", port: 5432 },
+      verbose: true,
+      name: "app",
+      color: false,
+      empty: "",
+      offset: -5,
+    });
+  });
+
+  test("repeated keys collect into an array; nothing after a lone --", () => {
+    expect(
+      load(["--tag=a", "--tag", "b", "-Dtag=c", "--", "--name=ignored"]),
+    ).toMatchObject({ tag: ["a", "b", "c"], name: "n" });
+  });
+
+  test("{...} and [...] values are read as HOCON", () => {
+    expect(
+      load([
+        "--db={ host = x, port = 3 }",
+        "--ports=[80, 443]",
+        "--title=[WIP] x",
+      ]),
+    ).toMatchObject({
+      db: { host: "x", port: 3 },
+      ports: [80, 443],
+      title: "[WIP] x", // not valid HOCON => kept as text
+    });
+  });
+
+  test("--config-file adds a layer on top of the file, under other args", async () => {
+    const argv = [
+      `--config-file=${path.join(dir, "extra.conf")}`,
+      "--config-file",
+      path.join(dir, "more.conf"),
+      "--db.host=cli",
+    ];
+    const expected = {
+      db: { host: "cli", port: 3 },
+      verbose: false,
+      name: "n",
+      url: "cli:3",
+    };
+    expect(load(argv)).toEqual(expected);
+    expect(await parseAsync(file, { parseEnv: false, argv })).toEqual(expected);
+
+    const conf = load(argv, { trackOrigins: true, asConfig: true });
+    expect(conf.origin("url")).toMatchObject({
+      file: path.join(dir, "extra.conf"),
+      includeChain: [],
+    });
+    expect(conf.origin("db.host").description).toBe("argv --db.host=cli");
+    expect(() => load(["--config-file=missing.conf"])).toThrow();
+  });
+
+  test("keys that would reach Object.prototype are rejected", () => {
+    for (const arg of [
+      "--__proto__.polluted=yes",
+      "--constructor.prototype.polluted=yes",
+      "-D__proto__.polluted=yes",
+    ]) {
+      expect(() => load([arg])).toThrow("HOCON: Unsafe key");
+    }
+    // inline HOCON (and files) fail the same way; the argument stays text
+    expect(load(["--db={ __proto__ { polluted = yes } }"]).db).toBe(
+      "{ __proto__ { polluted = yes } }",
+    );
+    expect(() => parse(path.join(dir, "evil.conf"), { argv: [] })).toThrow(
+      "HOCON: Unsafe key '__proto__' => a.__proto__",
+    );
+    // inherited properties aren't there to substitute
+    expect(() => parse(path.join(dir, "ctor.conf"), { argv: [] })).toThrow(
+      "Could not resolve substitution ${constructor}",
+    );
+    expect(() => load([], { overrides: { "a.__proto__.x": 1 } })).toThrow(
+      "HOCON: Unsafe key '__proto__' => a.__proto__.x",
+    );
+    expect({}.polluted).toBeUndefined();
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  parseFile,
+  parseFileAsync,
+  parseAsync,
+  parseString,
+  parseStringAsync,
+  Config,
+} = require("../lib/hoconParser");
+const { preloadIncludes } = require("../lib/resolver");
+
+const scenariosDir = path.join(__dirname, "scenarios10");
+const fixture = (...names) =>
+  path.join(__dirname, "fixtures", "async", ...names);
+
+function loadEnvFile(file) {
+  if (!fs.existsSync(file)) return;
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    const eqIdx = line.indexOf("=");
+    if (!line.trim() || line.trim().startsWith("#") || eqIdx < 0) continue;
+    process.env[line.slice(0, eqIdx).trim()] = line.slice(eqIdx + 1).trim();
+  }
+}
+
+describe("async parsing", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const scenarios = fs
+    .readdirSync(scenariosDir)
+    .filter((f) => fs.statSync(path.join(scenariosDir, f)).isDirectory())
+    .sort();
+
+  test.each(scenarios)("%s matches expected.json", async (scenario) => {
+    const originalEnv = { ...process.env };
+    try {
+      loadEnvFile(path.join(scenariosDir, scenario, ".env"));
+      const expected = JSON.parse(
+        fs.readFileSync(
+          path.join(scenariosDir, scenario, "expected.json"),
+          "utf8",
+        ),
+      );
+      const base = path.join(scenariosDir, scenario, "base.conf");
+      expect(await parseFileAsync(base)).toEqual(expected);
+    } finally {
+      process.env = originalEnv;
+    }
+  });
+
+  test("reads includes with fs.promises, concurrently, in the sync merge order", async () => {
+    const app = fixture("order", "app.conf");
+    const readFileSync = jest.spyOn(fs, "readFileSync");
+    const realReadFile = fs.promises.readFile;
+    let inFlight = 0;
+    let maxInFlight = 0;
+    jest.spyOn(fs.promises, "readFile").mockImplementation(async (...args) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      try {
+        return await realReadFile(...args);
+      } finally {
+        inFlight--;
+      }
+    });
+
+    const result = await parseFileAsync(app);
+    expect(readFileSync).not.toHaveBeenCalled();
+    expect(maxInFlight).toBe(3); // a.conf, b.conf and c.conf together
+    jest.restoreAllMocks();
+    expect(result).toEqual({ x: 0, y: "c", nested: { x: "b" } });
+    expect(result).toEqual(parseFile(app));
+  });
+
+  test("errors and warnings match the sync API", async () => {
+    const app = fixture("errors", "app.conf");
+    await expect(parseFileAsync(app)).rejects.toThrow("Unclosed '{'");
+
+    const syncWarnings = [];
+    const asyncWarnings = [];
+    expect(() =>
+      parseFile(app, { strict: false, warnings: syncWarnings }),
+    ).toThrow("Required include file missing");
+    await expect(
+      parseFileAsync(app, {
+        strict: false,
+        warnings: asyncWarnings,
+      }),
+    ).rejects.toThrow("Required include file missing");
+    expect(asyncWarnings.map((w) => w.message)).toEqual(
+      syncWarnings.map((w) => w.message),
+    );
+    expect(asyncWarnings).toHaveLength(1);
+  });
+
+  test("include cycles don't hang the preload", async () => {
+    const dir = fixture("cycle");
+    const preloaded = await preloadIncludes('include "a.conf"', dir);
+    expect([...preloaded.keys()]).toEqual([
+      path.join(dir, "a.conf"),
+      path.join(dir, "b.conf"),
+    ]);
+  });
+
+  test("parseAsync and parseStringAsync take the same options", async () => {
+    const conf = await parseAsync(fixture("options", "app.conf"), {
+      parseEnv: false,
+      argv: ["--port=81"],
+      asConfig: true,
+      convertUnits: true,
+    });
+    expect(conf).toBeInstanceOf(Config);
+    expect(conf.get("port")).toBe(81);
+    expect(conf.get("timeout")).toBe(5000);
+
+    expect(await parseStringAsync("a { b = 1 }", __dirname)).toEqual(
+      parseString("a { b = 1 }", __dirname),
+    );
+  });
+});
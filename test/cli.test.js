@@ -0,0 +1,190 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { parseString } = require("../lib/hoconParser");
+const { runCli, parseFlags } = require("../lib/cli");
+
+const BASE = path.join(__dirname, "config", "base.conf");
+
+function captureIo() {
+  const io = { out: "", err: "" };
+  io.stdout = { write: (s) => (io.out += s) };
+  io.stderr = { write: (s) => (io.err += s) };
+  return io;
+}
+
+function withTempConf(content, fn) {
+  const file = path.join(os.tmpdir(), `hocon-cli-${process.pid}.conf`);
+  fs.writeFileSync(file, content);
+  try {
+    return fn(file);
+  } finally {
+    fs.unlinkSync(file);
+  }
+}
+
+describe("hocon-config CLI", () => {
+  test("parseFlags splits positionals, flags and passthrough args", () => {
+    expect(
+      parseFlags([
+        "--parse-env",
+        "app.conf",
+        "--set",
+        "a=1",
+        "--set=b=2",
+        "--format",
+        "hocon",
+        "--",
+        "--server.port=1",
+      ]),
+    ).toEqual({
+      positional: ["app.conf"],
+      flags: { "parse-env": true, set: ["a=1", "b=2"], format: "hocon" },
+      passthrough: ["--server.port=1"],
+    });
+  });
+
+  test("resolve prints JSON by default and HOCON with --format hocon", () => {
+    const io = captureIo();
+    expect(runCli(["resolve", BASE], io)).toBe(0);
+    const json = JSON.parse(io.out);
+    expect(json.app.name).toBe("ExampleApp-Overridden");
+    expect(json.server.ports).toEqual([8080, 9090, 10000]);
+
+    const hocon = captureIo();
+    expect(runCli(["resolve", BASE, "--format", "hocon"], hocon)).toBe(0);
+    expect(hocon.out).toContain('database {\n  host = "localhost"');
+    expect(parseString(hocon.out, __dirname)).toEqual(json);
+
+    const props = captureIo();
+    runCli(["resolve", BASE, "--format=properties", "--sort-keys"], props);
+    expect(props.out.split("\n").slice(0, 2)).toEqual([
+      "app.name=ExampleApp-Overridden",
+      "database.credentials.password=password",
+    ]);
+  });
+
+  test("get prints strings raw, other values as JSON, exit 3 if missing", () => {
+    let io = captureIo();
+    expect(runCli(["get", BASE, "database.host"], io)).toBe(0);
+    expect(io.out).toBe("localhost\n");
+
+    io = captureIo();
+    expect(runCli(["get", BASE, "server.ports"], io)).toBe(0);
+    expect(JSON.parse(io.out)).toEqual([8080, 9090, 10000]);
+
+    io = captureIo();
+    expect(runCli(["get", BASE, "database.nope"], io)).toBe(3);
+    expect(io.out).toBe("");
+    expect(io.err).toContain("path 'database.nope' not found");
+
+    io = captureIo();
+    expect(runCli(["get", BASE, "constructor"], io)).toBe(3);
+    expect(io.out).toBe("");
+  });
+
+  test("--set, --parse-args and --env-prefix apply overrides", () => {
+    const io = captureIo();
+    const args = [
+      "get",
+      BASE,
+      "database",
+      "--set",
+      "database.host=db2",
+      "--set",
+      "database.port=6543",
+    ];
+    expect(runCli(args, io)).toBe(0);
+    expect(JSON.parse(io.out)).toMatchObject({ host: "db2", port: 6543 });
+
+    const argsIo = captureIo();
+    runCli(
+      [
+        "get",
+        BASE,
+        "database.host",
+        "--parse-args",
+        "--",
+        "--database.host=db",
+      ],
+      argsIo,
+    );
+    expect(argsIo.out).toBe("db\n");
+
+    process.env.CLITEST_database_host = "from-env";
+    try {
+      const envIo = captureIo();
+      runCli(["get", BASE, "database.host", "--env-prefix", "CLITEST_"], envIo);
+      expect(envIo.out).toBe("from-env\n");
+
+      // without the flags nothing from env or argv is applied
+      const plain = captureIo();
+      runCli(["get", BASE, "database.host"], plain);
+      expect(plain.out).toBe("localhost\n");
+    } finally {
+      delete process.env.CLITEST_database_host;
+    }
+  });
+
+  test("validate reports every problem and exits 1", () => {
+    withTempConf("a = 1\nb {\nc = [1, 2\n", (file) => {
+      const io = captureIo();
+      expect(runCli(["validate", file], io)).toBe(1);
+      expect(io.err).toContain("Unclosed '['");
+      expect(io.err).toContain("Unclosed '{'");
+      expect(io.err).toContain(`${file}: 2 problem(s)`);
+    });
+
+    const ok = captureIo();
+    expect(runCli(["validate", BASE], ok)).toBe(0);
+    expect(ok.out).toBe(`${BASE}: OK\n`);
+  });
+
+  test("--sensitive redacts resolve, get and explain output", () => {
+    withTempConf("db { host = h, password = hunter2 }", (file) => {
+      const flags = ["--sensitive", "*.password"];
+      const resolved = captureIo();
+      expect(runCli(["resolve", file, ...flags], resolved)).toBe(0);
+      expect(JSON.parse(resolved.out)).toEqual({
+        db: { host: "h", password: "[REDACTED]" },
+      });
+      const one = captureIo();
+      runCli(["get", file, "db.password", ...flags], one);
+      expect(one.out).toBe("[REDACTED]\n");
+      const db = captureIo();
+      runCli(["get", file, "db", ...flags], db);
+      expect(JSON.parse(db.out)).toEqual({ host: "h", password: "[REDACTED]" });
+      const explained = captureIo();
+      runCli(["explain", file, ...flags], explained);
+      expect(explained.out).toContain("db.password = [REDACTED]");
+      expect(explained.out).not.toContain("hunter2");
+    });
+  });
+
+  test("bad usage exits 2, failures exit 1", () => {
+    let io = captureIo();
+    expect(runCli([], io)).toBe(2);
+    expect(io.out).toContain("Usage: hocon-config");
+
+    io = captureIo();
+    expect(runCli(["frobnicate"], io)).toBe(2);
+    expect(io.err).toContain('unknown command "frobnicate"');
+
+    io = captureIo();
+    expect(runCli(["resolve", BASE, "--format", "yaml"], io)).toBe(2);
+
+    io = captureIo();
+    expect(runCli(["get", BASE, "a", "--set", "novalue"], io)).toBe(2);
+
+    io = captureIo();
+    expect(runCli(["resolve", "does-not-exist.conf"], io)).toBe(1);
+    expect(io.err).toContain("ENOENT");
+  });
+
+  test("bin/hocon-config.js runs as a child process", () => {
+    const bin = path.join(__dirname, "..", "bin", "hocon-config.js");
+    const out = execFileSync("node", [bin, "get", BASE, "app.name"]);
+    expect(out.toString()).toBe("ExampleApp-Overridden\n");
+  });
+});
@@ -0,0 +1,195 @@
+const path = require("path");
+const {
+  parseFile,
+  parseString,
+  Config,
+  ConfigError,
+} = require("../lib/hoconParser");
+
+describe("Config object API", () => {
+  const hocon = `
+    app.name = "MyApp"
+    app.version = "2.0"
+    server {
+      port = 8080
+      ratio = 0.75
+      debug = false
+      hosts = [a, b]
+    }
+    "dotted.key" = yes
+    nothing = null
+  `;
+  const conf = parseString(hocon, __dirname, { asConfig: true });
+
+  test("asConfig returns a Config", () => {
+    expect(conf).toBeInstanceOf(Config);
+    const fromFile = parseFile(path.join(__dirname, "config", "base.conf"), {
+      asConfig: true,
+    });
+    expect(fromFile.getString("database.host")).toBe("localhost");
+  });
+
+  test("typed getters", () => {
+    expect(conf.get("server")).toEqual(conf.toObject().server);
+    expect(conf.getString("app.name")).toBe("MyApp");
+    expect(conf.getString("app.version")).toBe("2.0");
+    expect(conf.getNumber("server.ratio")).toBe(0.75);
+    expect(conf.getInt("server.port")).toBe(8080);
+    expect(conf.getBoolean("server.debug")).toBe(false);
+    expect(conf.getList("server.hosts")).toEqual(["a", "b"]);
+    expect(conf.getString('"dotted.key"')).toBe("yes");
+    // booleans read from text the way schema coercion reads them
+    expect(conf.getBoolean('"dotted.key"')).toBe(true);
+    const flags = new Config({ a: "On", b: "no", c: "off ", d: "maybe" });
+    expect(flags.getBoolean("a")).toBe(true);
+    expect(flags.getBoolean("b")).toBe(false);
+    expect(flags.getBoolean("c")).toBe(false);
+    expect(() => flags.getBoolean("d")).toThrow(
+      `Config path 'd' has type string ("maybe"), expected boolean`,
+    );
+  });
+
+  test("getConfig, hasPath, keys and toObject", () => {
+    const server = conf.getConfig("server");
+    expect(server).toBeInstanceOf(Config);
+    expect(server.keys()).toEqual(["port", "ratio", "debug", "hosts"]);
+    expect(server.getInt("port")).toBe(8080);
+
+    expect(conf.hasPath("app.name")).toBe(true);
+    expect(conf.hasPath("app.missing")).toBe(false);
+    expect(conf.hasPath("nothing")).toBe(false);
+    // only the config's own keys are paths, not what objects inherit
+    expect(conf.hasPath("constructor")).toBe(false);
+    expect(conf.hasPath("server.hosts.length")).toBe(false);
+
+    const copy = conf.toObject();
+    copy.app.name = "changed";
+    expect(conf.getString("app.name")).toBe("MyApp");
+  });
+
+  test("missing paths throw ConfigError naming the path", () => {
+    expect(() => conf.get("app.missing")).toThrow(ConfigError);
+    expect(() => conf.getString("nothing")).toThrow(
+      "Config path 'nothing' is missing",
+    );
+    try {
+      conf.getConfig("server").getInt("nope");
+    } catch (err) {
+      expect(err.code).toBe("MISSING");
+      expect(err.path).toBe("server.nope");
+    }
+    expect(() => conf.get("toString")).toThrow(
+      "Config path 'toString' is missing",
+    );
+    expect(() => conf.getString("app.name.length")).toThrow(ConfigError);
+    expect.assertions(6);
+  });
+
+  test("type mismatches name the path and the actual type", () => {
+    expect(() => conf.getInt("server.ratio")).toThrow(
+      "Config path 'server.ratio' has type number (0.75), expected integer",
+    );
+    expect(() => conf.getNumber("app.name")).toThrow(
+      `Config path 'app.name' has type string ("MyApp"), expected number`,
+    );
+    expect(() => conf.getConfig("server.hosts")).toThrow(/has type list/);
+    try {
+      conf.getBoolean("server.port");
+    } catch (err) {
+      expect(err).toMatchObject({
+        code: "WRONG_TYPE",
+        path: "server.port",
+        actualType: "number",
+      });
+    }
+    // a value JSON can't show still makes a message
+    expect(() => new Config({ f: () => 1 }).getString("f")).toThrow(
+      "Config path 'f' has type function (() => 1), expected string",
+    );
+  });
+});
+
+describe("Duration and memory-size units", () => {
+  const { parseDuration, parseBytes } = require("../lib/hoconParser");
+
+  test("parseDuration understands every spec unit form", () => {
+    expect(parseDuration("30s")).toBe(30000);
+    expect(parseDuration("30 seconds")).toBe(30000);
+    expect(parseDuration("1.5h", "m")).toBe(90);
+    expect(parseDuration("2 days", "hours")).toBe(48);
+    expect(parseDuration("500us", "ns")).toBe(500000);
+    expect(parseDuration("3 millis", "micros")).toBe(3000);
+    expect(parseDuration("250")).toBe(250);
+    expect(parseDuration(250, "s")).toBe(0.25);
+    expect(parseDuration("10 parsecs")).toBeUndefined();
+    expect(() => parseDuration("1s", "fortnights")).toThrow(/Unknown duration/);
+  });
+
+  test("parseBytes distinguishes powers of ten and two", () => {
+    expect(parseBytes("512")).toBe(512);
+    expect(parseBytes("10B")).toBe(10);
+    expect(parseBytes("1K")).toBe(1024);
+    expect(parseBytes("1KB")).toBe(1000);
+    expect(parseBytes("1kB")).toBe(1000);
+    expect(parseBytes("1KiB")).toBe(1024);
+    expect(parseBytes("512MiB")).toBe(512 * 1024 * 1024);
+    expect(parseBytes("2 megabytes")).toBe(2000000);
+    expect(parseBytes("1.5 GiB")).toBe(1.5 * 1024 ** 3);
+    expect(parseBytes("1TB")).toBe(1e12);
+    expect(parseBytes("1 TiB")).toBe(1024 ** 4);
+    expect(parseBytes("-1MB")).toBeUndefined();
+    expect(parseBytes("12 apples")).toBeUndefined();
+  });
+
+  const conf = parseString(
+    `
+    timeout = 30s
+    retry = 1500 ms
+    plain = 250
+    cache.max = 512MiB
+    name = "fast"
+  `,
+    __dirname,
+    { asConfig: true },
+  );
+
+  test("getDuration / getBytes", () => {
+    expect(conf.getDuration("timeout")).toBe(30000);
+    expect(conf.getDuration("timeout", "s")).toBe(30);
+    expect(conf.getDuration("retry", "s")).toBe(1.5);
+    expect(conf.getDuration("plain")).toBe(250);
+    expect(conf.getBytes("cache.max")).toBe(536870912);
+  });
+
+  test("unparseable values throw ConfigError BAD_VALUE", () => {
+    expect(() => conf.getDuration("name")).toThrow(
+      `Config path 'name' has value "fast", which is not a valid duration`,
+    );
+    try {
+      conf.getBytes("timeout");
+    } catch (err) {
+      expect(err).toMatchObject({ code: "BAD_VALUE", path: "timeout" });
+    }
+  });
+
+  test("convertUnits at resolve time", () => {
+    const hocon = "timeout = 30s\ncache = 1MiB\nname = fast\nlist = [1m, 2h]";
+    expect(
+      parseString(hocon, __dirname, { convertUnits: { duration: "s" } }),
+    ).toEqual({ timeout: 30, cache: "1MiB", name: "fast", list: [60, 7200] });
+    expect(
+      parseString(hocon, __dirname, { convertUnits: { bytes: true } }),
+    ).toEqual({
+      timeout: "30s",
+      cache: 1048576,
+      name: "fast",
+      list: [1048576, "2h"], // lowercase "m" is mebibytes in a size context
+    });
+    expect(parseString(hocon, __dirname, { convertUnits: true })).toEqual({
+      timeout: 30000,
+      cache: 1048576,
+      name: "fast",
+      list: [60000, 7200000],
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const path = require("path");
+const {
+  parseFile,
+  parseFileAsync,
+  parseString,
+} = require("../lib/hoconParser");
+const { parseHocon } = require("../lib/parser");
+
+// conf.d also holds notes.txt, .hidden.conf and a sub.conf directory,
+// none of which a dir() or *.conf include picks up
+const dir = path.join(__dirname, "fixtures", "dirInclude");
+const file = (name) => path.join(dir, name);
+
+describe("directory and glob includes", () => {
+  test("parses dir() includes", () => {
+    const [plain, required] = parseHocon(
+      'include dir("conf.d")\ninclude required(dir("conf.d"))',
+    ).fields;
+    expect(plain).toMatchObject({ kind: "dir", required: false });
+    expect(required).toMatchObject({ kind: "dir", required: true });
+  });
+
+  test("merges every match in lexicographic order", () => {
+    const expected = {
+      db: { host: "b", port: 1 },
+      name: "base",
+      list: [2],
+    };
+    expect(parseFile(file("glob.conf"))).toEqual(expected);
+    expect(parseFile(file("dir.conf"))).toEqual(expected);
+    expect(parseFile(file("wildcard.conf"))).toEqual({
+      db: { host: "b", port: 1 },
+      list: [2],
+      name: "app",
+    });
+  });
+
+  test("an include nested in an object merges there", () => {
+    expect(parseFile(file("nested.conf"))).toEqual({
+      svc: { db: { host: "b", port: 1 }, list: [2] },
+    });
+  });
+
+  test("no matches: optional skips, required throws", () => {
+    expect(parseString('include "none/*.conf"\na = 1', dir)).toEqual({ a: 1 });
+    expect(parseString('include dir("none")\na = 1', dir)).toEqual({ a: 1 });
+    expect(() => parseString('include required(dir("none"))', dir)).toThrow(
+      `Required include matched no files => ${file("none")}`,
+    );
+    expect(() => parseString('include required("conf.d/*.json")', dir)).toThrow(
+      "Required include matched no files",
+    );
+    expect(() => parseString('include "*/a.conf"', dir)).toThrow(
+      "Wildcards are only supported in the file name",
+    );
+  });
+
+  test("parseFileAsync and includedFiles see the same files", async () => {
+    const includedFiles = [];
+    const result = parseFile(file("both.conf"), { includedFiles });
+    expect(await parseFileAsync(file("both.conf"))).toEqual(result);
+    expect(includedFiles).toEqual([
+      file("conf.d"),
+      file("conf.d/10-base.conf"),
+      file("conf.d/20-db.conf"),
+      file("conf.d/30-db.conf"),
+      file("conf.d"),
+      file("conf.d/20-db.conf"),
+      file("conf.d/30-db.conf"),
+    ]);
+  });
+});
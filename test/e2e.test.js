@@ -33,6 +33,6 @@ describe("Example.js End-to-End Test", () => {
     // 6) Check that environment + CLI overrides appear
     expect(finalConfig.app.name).toBe("ExampleApp"); // from example.conf
     expect(finalConfig.app.flag).toBe("envFlagValue"); // from env
-    expect(finalConfig.server.port).toBe("9999"); // from CLI
+    expect(finalConfig.server.port).toBe(9999); // from CLI, typed like a file value
   });
 });
@@ -0,0 +1,104 @@
+const path = require("path");
+const { parse, parseString } = require("../lib/hoconParser");
+
+const dir = path.join(__dirname, "fixtures", "envOverrides");
+const file = path.join(dir, "app.conf");
+
+describe("environment overrides", () => {
+  const vars = {};
+  const setEnv = (values) => {
+    Object.assign(vars, values);
+    Object.assign(process.env, values);
+  };
+
+  afterEach(() => {
+    for (const key of Object.keys(vars)) delete process.env[key];
+  });
+
+  const load = (options = {}) =>
+    parse(file, { envPrefix: "ENVT_", argv: [], ...options });
+
+  test("`__` is an underscore, `___` a dash, and case is folded", () => {
+    setEnv({
+      ENVT_MAX__POOL_SIZE: "5",
+      ENVT_MAXPOOL: "3",
+      ENVT_LOGLEVEL: "debug",
+      ENVT_FEATURE___FLAGS_BETA: "on",
+      ENVT_newKey: "as written",
+    });
+    expect(load()).toMatchObject({
+      max_pool: { size: 5 },
+      maxPool: 3,
+      logLevel: "debug",
+      "feature-flags": { beta: "on" },
+      newKey: "as written", // new keys in mixed case are kept as they are
+    });
+  });
+
+  test("numeric segments index arrays", () => {
+    setEnv({ ENVT_SERVERS_1_HOST: "B", ENVT_SERVERS_2_HOST: "c" });
+    expect(load().servers).toEqual([
+      { host: "a" },
+      { host: "B" },
+      { host: "c" },
+    ]);
+    setEnv({ ENVT_SERVERS_9_HOST: "z" });
+    expect(() => load()).toThrow(
+      "HOCON: ENVT_SERVERS_9_HOST => index 9 is past the end of servers (3 elements)",
+    );
+  });
+
+  test("JSON arrays and objects replace the value", () => {
+    setEnv({
+      ENVT_HOSTS: '["y", "z"]',
+      ENVT_DB: '{ "url": "v" }',
+      ENVT_LOGLEVEL: "[not json",
+    });
+    expect(load()).toMatchObject({
+      hosts: ["y", "z"],
+      db: { url: "v" },
+      logLevel: "[not json",
+    });
+  });
+
+  test("envOnlyExisting leaves out keys the file doesn't have", () => {
+    setEnv({ ENVT_DB_URL: "v", ENVT_DB_PASSWORD: "pw" });
+    expect(load({ envOnlyExisting: true }).db).toEqual({
+      url: "v",
+      user: "me",
+    });
+    expect(load().db).toEqual({ url: "v", user: "me", password: "pw" });
+  });
+
+  test("without a prefix only existing keys are overridden, case and all", () => {
+    setEnv({ logLevel: "warn", maxpool: "9", ENVT_UNRELATED: "x" });
+    const config = load({ envPrefix: "" });
+    expect(config.logLevel).toBe("warn");
+    expect(config.maxPool).toBe(2);
+    expect(Object.keys(config)).toEqual([
+      "max_pool",
+      "maxPool",
+      "servers",
+      "hosts",
+      "db",
+      "logLevel",
+    ]);
+  });
+
+  test("origins report the path the variable landed on", () => {
+    setEnv({ ENVT_DB_URL: "v" });
+    const conf = load({ trackOrigins: true, asConfig: true });
+    expect(conf.origin("db.url")).toMatchObject({
+      value: "v",
+      description: "env ENVT_DB_URL",
+    });
+  });
+
+  test(".env sources map keys the same way", () => {
+    expect(
+      parseString("MAX__POOL_SIZE=4\nfeature___flags=x", dir, {
+        format: "env",
+      }),
+    ).toEqual({ max_pool: { size: 4 }, "feature-flags": "x" });
+  });
+});
@@ -0,0 +1,108 @@
+const path = require("path");
+const {
+  parse,
+  parseFile,
+  parseFileAsync,
+  parseString,
+  Config,
+} = require("../lib/hoconParser");
+const { tempDir } = require("./tempDir");
+
+const dir = path.join(__dirname, "fixtures", "formats");
+const file = (name) => path.join(dir, name);
+
+describe("JSON, .properties and .env sources", () => {
+  test("JSON is parsed strictly and keeps its types", () => {
+    expect(parseFile(file("app.json"))).toEqual({
+      version: "2.0",
+      port: 80,
+      "a.b": { c: [1, "${not.a.ref}", null] },
+      on: true,
+    });
+
+    expect(() => parseFile(file("bad.json"))).toThrow(
+      expect.objectContaining({ name: "HoconParseError", line: 3, column: 1 }),
+    );
+    expect(() => parseFile(file("list.json"))).toThrow(
+      "A JSON config must be an object",
+    );
+    // a HOCON-only construct isn't JSON
+    expect(() => parseString("a = 1", dir, { format: "json" })).toThrow(
+      "Invalid JSON",
+    );
+  });
+
+  test(".properties lines become dotted paths", () => {
+    expect(parseFile(file("db.properties"))).toEqual({
+      db: {
+        host: "localhost",
+        port: 5432,
+        name: "main",
+        url: "jdbc:postgresql://h:1/x ?ssl=true",
+      },
+      "key with spaces": "a\tb",
+      unicode: "café",
+      empty: "",
+    });
+  });
+
+  test(".env files read like environment overrides", () => {
+    // capitals fold to lowercase (DB_USER joins db), mixed case is kept
+    expect(parseFile(file("app.env"))).toEqual({
+      db: { host: "localhost", port: 5432, user: "admin" },
+      greeting: "hello\nworld",
+      raw: "5432",
+      Pool_Size: 4,
+    });
+    expect(() => parseFile(file("bad.env"))).toThrow("Expected KEY=VALUE");
+  });
+
+  test("includes pick the format by extension or by json() / properties() / env()", async () => {
+    const expected = {
+      db: { host: "json", port: 2, user: "me", name: "json-db" },
+    };
+    expect(parseFile(file("includes/app.conf"))).toEqual(expected);
+    expect(await parseFileAsync(file("includes/app.conf"))).toEqual(expected);
+    expect(await parseFileAsync(file("includes/defaults.json"))).toEqual({
+      db: { host: "json", port: 1 },
+    });
+  });
+
+  test("an explicit format wins over the extension", () => {
+    expect(parseFile(file("conf.txt"), { format: "json" })).toEqual({ a: 1 });
+    expect(() => parseFile(file("conf.txt"), { format: "yaml" })).toThrow(
+      "HOCON: Unknown format => yaml",
+    );
+  });
+});
+
+describe("envFile", () => {
+  const tmp = tempDir("hocon-formats-");
+
+  test("adds a layer underneath the real environment", () => {
+    tmp.write("app.conf", "db { host = conf, port = 1, user = conf }");
+    tmp.write(".env", "FMT_db_host=from-file\nFMT_db_port=2");
+    process.env.FMT_db_port = "3";
+    try {
+      const conf = parse(tmp.file("app.conf"), {
+        envPrefix: "FMT_",
+        envFile: tmp.file(".env"),
+        argv: [],
+        trackOrigins: true,
+        asConfig: true,
+      });
+      expect(conf.root.db).toEqual({
+        host: "from-file",
+        port: 3,
+        user: "conf",
+      });
+      expect(conf.origin("db.host").description).toBe(
+        `env FMT_db_host (${tmp.file(".env")})`, // outside cwd => absolute
+      );
+      expect(conf.origin("db.port").description).toBe("env FMT_db_port");
+      expect(conf).toBeInstanceOf(Config);
+    } finally {
+      delete process.env.FMT_db_port;
+    }
+  });
+});
@@ -0,0 +1,108 @@
+const fs = require("fs");
+const { parseFile, parseFileAsync } = require("../lib/hoconParser");
+const { tempDir } = require("./tempDir");
+
+describe("include cycles, depth and includeRoot", () => {
+  const tmp = tempDir("hocon-limits-");
+  const { file, write } = tmp;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("a cycle throws with the full chain", async () => {
+    write("app.conf", 'include "a.conf"');
+    write("a.conf", 'include "b.conf"\na = 1');
+    write("b.conf", 'include "a.conf"\nb = 2');
+    const chain = [file("a.conf"), file("b.conf"), file("a.conf")].join(" -> ");
+    expect(() => parseFile(file("app.conf"))).toThrow(
+      `HOCON: Include cycle => ${chain}`,
+    );
+    await expect(parseFileAsync(file("app.conf"))).rejects.toThrow(chain);
+
+    write("self.conf", 'include "self.conf"');
+    expect(() => parseFile(file("self.conf"))).toThrow(
+      `Include cycle => ${file("self.conf")} -> ${file("self.conf")}`,
+    );
+  });
+
+  test("the same file included twice side by side is not a cycle", () => {
+    write("app.conf", 'include "a.conf"\nx { include "a.conf" }');
+    write("a.conf", "a = 1");
+    expect(parseFile(file("app.conf"))).toEqual({ a: 1, x: { a: 1 } });
+  });
+
+  test("maxIncludeDepth limits nesting", () => {
+    write("app.conf", 'include "1.conf"');
+    write("1.conf", 'include "2.conf"\none = 1');
+    write("2.conf", 'include "3.conf"\ntwo = 2');
+    write("3.conf", "three = 3");
+    expect(parseFile(file("app.conf"), { maxIncludeDepth: 3 })).toEqual({
+      one: 1,
+      two: 2,
+      three: 3,
+    });
+    expect(() => parseFile(file("app.conf"), { maxIncludeDepth: 2 })).toThrow(
+      `HOCON: Include depth exceeds maxIncludeDepth (2) => ${file("app.conf")} -> ${file("1.conf")} -> ${file("2.conf")} -> ${file("3.conf")}`,
+    );
+  });
+
+  test("includeRoot rejects includes resolving outside it", async () => {
+    write("secret.conf", "password = hunter2");
+    write("conf/app.conf", 'include "sub/a.conf"');
+    write("conf/sub/a.conf", "a = 1");
+    const options = { includeRoot: file("conf") };
+    expect(parseFile(file("conf/app.conf"), options)).toEqual({ a: 1 });
+
+    write("conf/sub/a.conf", 'include "../../secret.conf"');
+    const message = `HOCON: Include outside includeRoot (${file("conf")}) => ${file("secret.conf")}`;
+    expect(() => parseFile(file("conf/app.conf"), options)).toThrow(message);
+
+    const readFile = jest.spyOn(fs.promises, "readFile");
+    await expect(
+      parseFileAsync(file("conf/app.conf"), options),
+    ).rejects.toThrow(message);
+    expect(readFile).not.toHaveBeenCalledWith(
+      file("secret.conf"),
+      expect.anything(),
+    );
+
+    // optional includes too: the check comes before looking for the file
+    write("conf/app.conf", 'include "/etc/hosts"');
+    expect(() => parseFile(file("conf/app.conf"), options)).toThrow(
+      "Include outside includeRoot",
+    );
+    write("conf/app.conf", 'include "../*.conf"');
+    expect(() => parseFile(file("conf/app.conf"), options)).toThrow(
+      `Include outside includeRoot (${file("conf")}) => ${tmp.dir}`,
+    );
+  });
+
+  test("includeRoot follows symlinks before comparing", async () => {
+    write("outside/s.conf", "secret = leaked");
+    write("inc/app.conf", 'include required("out/s.conf")');
+    fs.symlinkSync(file("outside"), file("inc/out"));
+    const options = { includeRoot: file("inc") };
+    const message = `HOCON: Include outside includeRoot (${fs.realpathSync(file("inc"))}) => ${file("inc/out/s.conf")}`;
+    expect(() => parseFile(file("inc/app.conf"), options)).toThrow(message);
+    await expect(parseFileAsync(file("inc/app.conf"), options)).rejects.toThrow(
+      message,
+    );
+
+    // a symlinked file among a glob's matches, too
+    write("inc/app.conf", 'include "conf.d/*.conf"');
+    write("inc/conf.d/a.conf", "a = 1");
+    fs.symlinkSync(file("outside/s.conf"), file("inc/conf.d/b.conf"));
+    expect(() => parseFile(file("inc/app.conf"), options)).toThrow(
+      `Include outside includeRoot (${fs.realpathSync(file("inc"))}) => ${file("inc/conf.d/b.conf")}`,
+    );
+
+    // a symlink staying inside the root is fine
+    fs.rmSync(file("inc/conf.d/b.conf"));
+    fs.symlinkSync(file("inc/conf.d/a.conf"), file("inc/conf.d/b.conf"));
+    expect(parseFile(file("inc/app.conf"), options)).toEqual({ a: 1 });
+    expect(await parseFileAsync(file("inc/app.conf"), options)).toEqual({
+      a: 1,
+    });
+  });
+});
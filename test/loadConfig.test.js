@@ -0,0 +1,109 @@
+const path = require("path");
+const { loadConfig, Config } = require("../lib/hoconParser");
+
+// reference, application, application.production and application.local .conf
+const dir = path.join(__dirname, "fixtures", "loadConfig", "layers");
+const file = (name) => path.join(dir, name);
+
+describe("loadConfig", () => {
+  const QUIET = { parseEnv: false, argv: [] };
+
+  test("layers files in order and resolves substitutions across them", () => {
+    const layers = [];
+    const config = loadConfig({
+      ...QUIET,
+      dir,
+      profile: "production",
+      layers,
+    });
+    expect(config).toEqual({
+      db: {
+        host: "prod-db",
+        port: 5432,
+        pool: 1,
+        url: "postgres://prod-db:5432",
+      },
+      name: "app",
+    });
+    expect(layers).toEqual([
+      { name: "reference.conf", file: file("reference.conf"), found: true },
+      { name: "application.conf", file: file("application.conf"), found: true },
+      {
+        name: "application.production.conf",
+        file: file("application.production.conf"),
+        found: true,
+      },
+      {
+        name: "application.local.conf",
+        file: file("application.local.conf"),
+        found: true,
+      },
+    ]);
+  });
+
+  test("profile defaults to NODE_ENV; missing layers are skipped", () => {
+    const saved = process.env.NODE_ENV;
+    process.env.NODE_ENV = "staging";
+    // the same files, but no application.local.conf
+    const dir = path.join(__dirname, "fixtures", "loadConfig", "no-local");
+    try {
+      const layers = [];
+      expect(loadConfig({ ...QUIET, dir, layers }).db.pool).toBe(5);
+      expect(layers.filter((l) => !l.found).map((l) => l.name)).toEqual([
+        "application.staging.conf",
+        "application.local.conf",
+      ]);
+      delete process.env.NODE_ENV;
+      const noProfile = [];
+      loadConfig({ ...QUIET, dir, layers: noProfile });
+      expect(noProfile.map((l) => l.name)).toEqual([
+        "reference.conf",
+        "application.conf",
+        "application.local.conf",
+      ]);
+    } finally {
+      process.env.NODE_ENV = saved;
+      if (saved === undefined) delete process.env.NODE_ENV;
+    }
+  });
+
+  test("env, argv and overrides go on top of every file", () => {
+    process.env.LOADTEST_db_pool = "7";
+    try {
+      const config = loadConfig({
+        dir,
+        profile: "production",
+        envPrefix: "LOADTEST_",
+        argv: ["--db.host=cli-db"],
+        overrides: { name: "override" },
+        asConfig: true,
+        trackOrigins: true,
+      });
+      expect(config).toBeInstanceOf(Config);
+      expect(config.get("db.pool")).toBe(7);
+      expect(config.get("db.host")).toBe("cli-db");
+      expect(config.get("db.url")).toBe("postgres://cli-db:5432");
+      expect(config.get("name")).toBe("override");
+      expect(config.origin("db.port")).toMatchObject({
+        file: file("reference.conf"),
+        includeChain: [],
+      });
+    } finally {
+      delete process.env.LOADTEST_db_pool;
+    }
+  });
+
+  test("files replaces the list, in any supported format", () => {
+    expect(
+      loadConfig({
+        ...QUIET,
+        dir,
+        profile: "test",
+        files: ["base.json", "{profile}.properties", "missing.conf"],
+      }),
+    ).toEqual({ a: 1, b: 2 });
+    expect(() => loadConfig({ ...QUIET, dir, profile: "../etc" })).toThrow(
+      "HOCON: Invalid profile => ../etc",
+    );
+  });
+});
@@ -0,0 +1,144 @@
+const path = require("path");
+const {
+  parse,
+  parseAsync,
+  parseFile,
+  parseFileAsync,
+  parseString,
+  parseStringAsync,
+} = require("../lib/hoconParser");
+
+// db_password ("hunter2\n"), port and ok are files to look up
+const dir = path.join(__dirname, "fixtures", "lookups");
+const file = (name) => path.join(dir, name);
+
+describe("${scheme:argument} lookups", () => {
+  test("file and env are built in", () => {
+    process.env.LOOKUP_TEST_HOST = "db.local";
+    try {
+      const conf = [
+        `password = \${file:${file("db_password")}}`,
+        "port = ${file:port}", // relative to baseDir
+        "host = ${env:LOOKUP_TEST_HOST}",
+        'url = "pg://"${env:LOOKUP_TEST_HOST}":"${file:port}',
+      ].join("\n");
+      expect(parseString(conf, dir)).toEqual({
+        password: "hunter2",
+        port: "5432", // a file's text stays a string
+        host: "db.local",
+        url: "pg://db.local:5432",
+      });
+    } finally {
+      delete process.env.LOOKUP_TEST_HOST;
+    }
+  });
+
+  test("custom schemes, cached per parse", () => {
+    const vault = jest.fn((key) => ({ "db/password": "s3cret" })[key]);
+    const conf = [
+      "a = ${vault:db/password}",
+      "b = ${vault:db/password}",
+      "c = ${vault:missing} or fallback",
+      "d = keep",
+      "d = ${?vault:missing}",
+    ].join("\n");
+    expect(parseString(conf, dir, { resolvers: { vault } })).toEqual({
+      a: "s3cret",
+      b: "s3cret",
+      c: "fallback",
+      d: "keep",
+    });
+    expect(vault).toHaveBeenCalledTimes(2);
+    expect(vault).toHaveBeenCalledWith("db/password", {
+      scheme: "vault",
+      baseDir: dir,
+      includeRoot: null,
+    });
+
+    const resolverCache = new Map();
+    parseString(conf, dir, { resolvers: { vault }, resolverCache });
+    parseString(conf, dir, { resolvers: { vault }, resolverCache });
+    expect(vault).toHaveBeenCalledTimes(4);
+  });
+
+  test("a lookup that is overridden is never read", async () => {
+    const app = file("overridden.conf");
+    process.env.LOOKUP_DB_PASSWORD = "devpw";
+    try {
+      const options = { envPrefix: "LOOKUP_", argv: [] };
+      const expected = { db: { password: "devpw" }, a: 1, url: "y" };
+      expect(parse(app, options)).toEqual(expected);
+      expect(await parseAsync(app, options)).toEqual(expected);
+      expect(
+        parse(app, {
+          parseEnv: false,
+          argv: ["--db.password=x"],
+        }).db.password,
+      ).toBe("x");
+      expect(() => parse(app, { argv: [] })).toThrow(
+        "HOCON: Could not resolve substitution ${file:/run/secrets/missing_db_password}",
+      );
+    } finally {
+      delete process.env.LOOKUP_DB_PASSWORD;
+    }
+  });
+
+  test("async resolvers need the async functions", async () => {
+    const app = file("async/app.conf");
+    const resolvers = {
+      vault: (key) =>
+        new Promise((resolve) => setImmediate(resolve, key + "!")),
+    };
+    expect(await parseFileAsync(app, { resolvers })).toEqual({
+      db: { password: "db!" },
+      key: "api!",
+    });
+    expect(
+      await parseStringAsync("k = ${vault:x}", dir, { resolvers }),
+    ).toEqual({ k: "x!" });
+    expect(() => parseFile(app, { resolvers })).toThrow(
+      "HOCON: Resolver 'vault' returned a promise => use parseAsync / parseFileAsync / parseStringAsync",
+    );
+  });
+
+  test("unknown schemes, failing and missing lookups throw with the location", async () => {
+    expect(() => parseString("a = 1\nb = ${vault:x}", dir)).toThrow(
+      "HOCON: Unknown substitution scheme 'vault' => ${vault:x} (<string>:2:5)",
+    );
+    // null turns a built-in off
+    expect(() =>
+      parseString("a = ${file:/etc/hostname}", dir, {
+        resolvers: { file: null },
+      }),
+    ).toThrow("Unknown substitution scheme 'file'");
+    expect(() => parseString("a = ${file:nope}", dir)).toThrow(
+      "HOCON: Could not resolve substitution ${file:nope} (<string>:1:5)",
+    );
+    // ${file:...} keeps to includeRoot like includes do
+    const inRoot = { includeRoot: dir };
+    expect(parseString("a = ${file:ok}", dir, inRoot)).toEqual({ a: "fine" });
+    expect(() => parseString("a = ${file:/etc/hostname}", dir, inRoot)).toThrow(
+      `HOCON: Lookup failed => \${file:/etc/hostname} (<string>:1:5): outside includeRoot (${dir}) => /etc/hostname`,
+    );
+    await expect(
+      parseStringAsync("a = ${file:../x}", dir, inRoot),
+    ).rejects.toThrow("outside includeRoot");
+
+    const resolvers = {
+      broken: () => {
+        throw new Error("connection refused");
+      },
+      rejects: async () => {
+        throw new Error("timed out");
+      },
+    };
+    expect(() => parseString("a = ${?broken:x}", dir, { resolvers })).toThrow(
+      "HOCON: Lookup failed => ${?broken:x} (<string>:1:5): connection refused",
+    );
+    await expect(
+      parseStringAsync("a = ${rejects:x}", dir, { resolvers }),
+    ).rejects.toThrow(
+      "HOCON: Lookup failed => ${rejects:x} (<string>:1:5): timed out",
+    );
+  });
+});
@@ -0,0 +1,177 @@
+const path = require("path");
+const { parse, parseString, Config } = require("../lib/hoconParser");
+const { runCli } = require("../lib/cli");
+
+const BASE = path.join(__dirname, "config", "base.conf");
+const OVERRIDES = path.join(__dirname, "config", "overrides.conf");
+
+function captureIo() {
+  const io = { out: "", err: "" };
+  io.stdout = { write: (s) => (io.out += s) };
+  io.stderr = { write: (s) => (io.err += s) };
+  return io;
+}
+
+describe("origin tracking", () => {
+  test("records file, line and include chain, plus what was overridden", () => {
+    const conf = parse(BASE, {
+      parseEnv: false,
+      parseArgs: false,
+      trackOrigins: true,
+      asConfig: true,
+    });
+
+    expect(conf.origin("database.port")).toMatchObject({
+      path: "database.port",
+      value: 5432,
+      source: "file",
+      file: BASE,
+      line: 9,
+      column: 3,
+      includeChain: [],
+      overridden: [],
+    });
+
+    const name = conf.origin("app.name");
+    expect(name).toMatchObject({
+      value: "ExampleApp-Overridden",
+      file: OVERRIDES,
+      line: 4,
+      includeChain: [BASE],
+    });
+    expect(name.description).toBe(
+      `${path.join("test", "config", "overrides.conf")}:4:1, included from ${path.join("test", "config", "base.conf")}`,
+    );
+    expect(name.overridden).toEqual([
+      expect.objectContaining({ value: "ExampleApp", file: BASE, line: 4 }),
+    ]);
+
+    // `ports = [${?APP_PORT}]` in the include is skipped, so base.conf keeps it
+    expect(conf.origin("server.ports")).toMatchObject({ file: BASE, line: 17 });
+    // `feature.enabled = ${?FEATURE_ENABLED}` with no env var keeps the old value
+    expect(conf.origin("feature.enabled")).toMatchObject({ line: 23 });
+  });
+
+  test("env, argv and programmatic overrides are named", () => {
+    process.env.ORIGINTEST_database_host = "env-host";
+    try {
+      const conf = parse(BASE, {
+        envPrefix: "ORIGINTEST_",
+        argv: ["--database.port=6543"],
+        overrides: { "app.name": "forced" },
+        trackOrigins: true,
+        asConfig: true,
+      });
+      expect(conf.origin("database.host")).toMatchObject({
+        source: "env",
+        env: "ORIGINTEST_database_host",
+        description: "env ORIGINTEST_database_host",
+        overridden: [expect.objectContaining({ value: "localhost" })],
+      });
+      expect(conf.origin("database.port")).toMatchObject({
+        source: "argv",
+        arg: "--database.port=6543",
+      });
+      const name = conf.origin("app.name");
+      expect(name.source).toBe("override");
+      expect(name.overridden.map((o) => o.value)).toEqual([
+        "ExampleApp-Overridden",
+        "ExampleApp",
+      ]);
+    } finally {
+      delete process.env.ORIGINTEST_database_host;
+    }
+  });
+
+  test("replacing an object forgets the origins of its old children", () => {
+    const conf = new Config(
+      parseString(
+        `
+        a { x = 1, y = 2 }
+        a = 5
+        a { x = 3 }
+        b = [1]
+        b += [2]
+      `,
+        __dirname,
+        { trackOrigins: true },
+      ),
+    );
+    expect(conf.origin("a.y")).toBeNull();
+    expect(conf.origin("a.x")).toMatchObject({
+      value: 3,
+      source: "string",
+      file: null,
+      line: 4,
+      overridden: [],
+    });
+    expect(conf.origin("a").overridden.map((o) => o.value)).toEqual([
+      5,
+      { x: 1, y: 2 },
+    ]);
+    expect(conf.origin("b")).toMatchObject({
+      value: [1, 2],
+      line: 6,
+      overridden: [expect.objectContaining({ value: [1], line: 5 })],
+    });
+    expect(conf.origin("nope")).toBeNull();
+  });
+
+  test("explain reports every leaf, also from a getConfig() view", () => {
+    const conf = parseString("db { host = a, port = 1 }\ndb.host = b", ".", {
+      trackOrigins: true,
+      asConfig: true,
+    });
+    expect(conf.explain()).toBe(
+      [
+        'db.host = "b"  (<string>:2:1)',
+        '  overrode "a"  (<string>:1:6)',
+        "db.port = 1  (<string>:1:16)",
+      ].join("\n"),
+    );
+    expect(conf.getConfig("db").explain("port")).toBe(
+      "db.port = 1  (<string>:1:16)",
+    );
+    expect(conf.getConfig("db").origin("port").line).toBe(1);
+  });
+
+  test("without trackOrigins there is nothing to report", () => {
+    const conf = parseString("a = 1", ".", { asConfig: true });
+    expect(conf.origin("a")).toBeNull();
+    expect(() => conf.explain()).toThrow("trackOrigins");
+  });
+
+  test("`hocon-config explain` prints the report", () => {
+    const io = captureIo();
+    expect(runCli(["explain", BASE, "app", "--set", "app.name=cli"], io)).toBe(
+      0,
+    );
+    expect(io.out).toBe(
+      [
+        'app.name = "cli"  (overrides)',
+        `  overrode "ExampleApp-Overridden"  (${path.join("test", "config", "overrides.conf")}:4:1, included from ${path.join("test", "config", "base.conf")})`,
+        `  overrode "ExampleApp"  (${path.join("test", "config", "base.conf")}:4:1)`,
+        "",
+      ].join("\n"),
+    );
+
+    const missing = captureIo();
+    expect(runCli(["explain", BASE, "nope"], missing)).toBe(3);
+  });
+
+  test("nested includes report the whole chain", () => {
+    const dir = path.join(__dirname, "fixtures", "origins");
+    const conf = parse(path.join(dir, "app.conf"), {
+      parseEnv: false,
+      parseArgs: false,
+      trackOrigins: true,
+      asConfig: true,
+    });
+    expect(conf.origin("server.port")).toMatchObject({
+      file: path.join(dir, "leaf.conf"),
+      line: 2,
+      column: 3,
+      includeChain: [path.join(dir, "app.conf"), path.join(dir, "mid.conf")],
+    });
+  });
+});
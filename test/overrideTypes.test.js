@@ -0,0 +1,126 @@
+const path = require("path");
+const { parse, parseString } = require("../lib/hoconParser");
+
+const dir = path.join(__dirname, "fixtures", "overrideTypes");
+const file = path.join(dir, "app.conf");
+
+describe("override types", () => {
+  const load = (argv, options = {}) =>
+    parse(file, { parseEnv: false, argv, ...options });
+
+  test("env and argv text is typed like a file value", () => {
+    process.env.TYPES_DEBUG = "false";
+    try {
+      const config = load(
+        ["--server.port=9090", "--zip=02134", "--ratio=0.5"],
+        {
+          parseEnv: true,
+          envPrefix: "TYPES_",
+        },
+      );
+      expect(config).toMatchObject({
+        server: { port: 9090 },
+        debug: false,
+        zip: 2134,
+        ratio: 0.5,
+      });
+      // programmatic overrides are used as given
+      expect(load([], { overrides: { "server.port": "1" } }).server.port).toBe(
+        "1",
+      );
+      expect(load(["--tag=1", "--tag=x"]).tag).toEqual([1, "x"]);
+      // quoted in JSON / HOCON => stays a string
+      expect(load(['--list=["01", "true", 2]']).list).toEqual([
+        "01",
+        "true",
+        2,
+      ]);
+      expect(load(['--list=["007"]', "--list=008"]).list).toEqual(["007", 8]);
+      process.env.TYPES_LIST = '["01", "02"]';
+      expect(load([], { parseEnv: true, envPrefix: "TYPES_" }).list).toEqual([
+        "01",
+        "02",
+      ]);
+    } finally {
+      delete process.env.TYPES_DEBUG;
+      delete process.env.TYPES_LIST;
+    }
+  });
+
+  test("coerceOverrides matches the type of the value replaced", () => {
+    const config = load(
+      [
+        "--server.port= 9090 ",
+        "--server.host=1234",
+        "--debug=off",
+        "--zip=02134",
+        "--version=2",
+        "--fresh=007",
+      ],
+      { coerceOverrides: true },
+    );
+    expect(config).toEqual({
+      server: { port: 9090, host: "1234" },
+      debug: false,
+      zip: "02134",
+      version: "2", // the file's 1.0 is kept as the string "1.0"
+      hosts: ["a"],
+      fresh: 7, // nothing to match => typed as usual
+    });
+  });
+
+  test("coerceOverrides with the whole environment and no prefix", () => {
+    // bash sets `_` for every command; it names no path
+    const saved = process.env._;
+    process.env._ = "/usr/bin/node";
+    process.env.debug = "off";
+    try {
+      const config = load([], { parseEnv: true, coerceOverrides: true });
+      expect(config.debug).toBe(false);
+      expect(config).not.toHaveProperty("");
+    } finally {
+      delete process.env.debug;
+      if (saved === undefined) delete process.env._;
+      else process.env._ = saved;
+    }
+  });
+
+  test("coerceOverrides throws when an override doesn't fit", () => {
+    const options = { coerceOverrides: true };
+    expect(() => load(["--server.port=80a"], options)).toThrow(
+      'HOCON: --server.port=80a => server.port expects a number, got "80a"',
+    );
+    expect(() => load(["--debug=maybe"], options)).toThrow(
+      "debug expects a boolean",
+    );
+    expect(() => load(["--hosts=b"], options)).toThrow("hosts expects a list");
+    expect(() => load(["--server", "x"], options)).toThrow(
+      "server expects an object",
+    );
+    expect(load(["--hosts=[b, c]"], options).hosts).toEqual(["b", "c"]);
+    // a sensitive path keeps the value out of the message
+    expect(() =>
+      load(["--server.port=s3cret"], { ...options, sensitive: ["port"] }),
+    ).toThrow(
+      "HOCON: --server.port=s3cret => server.port expects a number, got [REDACTED]",
+    );
+
+    process.env.TYPES_SERVER_PORT = "http";
+    try {
+      expect(() =>
+        load([], { ...options, parseEnv: true, envPrefix: "TYPES_" }),
+      ).toThrow("HOCON: TYPES_SERVER_PORT => server.port expects a number");
+    } finally {
+      delete process.env.TYPES_SERVER_PORT;
+    }
+  });
+
+  test("substitutions see the typed value", () => {
+    expect(
+      parseString("port = 1\nnext = ${port}", dir, {
+        overrides: { port: "2" },
+        overrideSources: { port: { source: "argv", arg: "--port=2" } },
+      }),
+    ).toEqual({ port: 2, next: 2 });
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  parseFile,
+  parseFileAsync,
+  parseString,
+} = require("../lib/hoconParser");
+const { parseHocon } = require("../lib/parser");
+
+// An app depending on lib-a (which depends on lib-c) and @scope/lib-b, whose
+// "exports" hide everything but the entry point from require.resolve, with
+// dev-only as a devDependency. Real path: require.resolve returns those.
+const dir = fs.realpathSync(path.join(__dirname, "fixtures", "packages"));
+const file = (name) => path.join(dir, name);
+
+describe("package includes and reference.conf", () => {
+  test("parses every include form", () => {
+    const kinds = parseHocon(
+      [
+        'include "a.conf"',
+        'include file("b.conf")',
+        'include package("lib/c.conf")',
+        'include classpath("lib/d.conf")',
+        'include required(package("lib/e.conf"))',
+      ].join("\n"),
+    ).fields.map((f) => [f.kind, f.required, f.target]);
+    expect(kinds).toEqual([
+      ["file", false, "a.conf"],
+      ["file", false, "b.conf"],
+      ["package", false, "lib/c.conf"],
+      ["package", false, "lib/d.conf"],
+      ["package", true, "lib/e.conf"],
+    ]);
+    expect(() => parseHocon('include url("http://x/a.conf")')).toThrow(
+      "Unsupported include syntax",
+    );
+    expect(() => parseHocon('include required(package("a")')).toThrow(
+      "Unsupported include syntax",
+    );
+  });
+
+  test("package() resolves through node_modules, file() relative to the file", () => {
+    expect(parseFile(file("conf/app.conf"))).toEqual({
+      extra: "from-lib-a",
+      x: "from-lib-b",
+      local: "yes",
+    });
+
+    expect(() =>
+      parseString('include required(package("not-installed/a.conf"))', dir),
+    ).toThrow("Required include file missing => package(not-installed/a.conf)");
+  });
+
+  test("referenceConf merges every dependency's reference.conf underneath", async () => {
+    const result = parseFile(file("app.conf"), { referenceConf: true });
+    expect(result).toEqual({
+      "lib-b": { port: 80 },
+      "lib-c": { enabled: true },
+      // lib-c's reference.conf goes first: lib-a depends on it
+      "lib-a": { timeout: "10s", name: "a" },
+      app: "yes",
+    });
+    expect(
+      await parseFileAsync(file("app.conf"), { referenceConf: true }),
+    ).toEqual(result);
+
+    // the async path finds packages without blocking calls
+    const blocking = ["existsSync", "readFileSync", "realpathSync"].map(
+      (name) => jest.spyOn(fs, name),
+    );
+    try {
+      expect(
+        await parseFileAsync(file("extra.conf"), { referenceConf: true }),
+      ).toEqual({
+        ...result,
+        extra: "from-lib-a",
+        "lib-a": { timeout: "5s", name: "a" },
+      });
+      blocking.forEach((spy) => expect(spy).not.toHaveBeenCalled());
+    } finally {
+      jest.restoreAllMocks();
+    }
+
+    // off by default
+    expect(parseFile(file("app.conf"))).toEqual({
+      "lib-a": { timeout: "10s" },
+      app: "yes",
+    });
+  });
+});
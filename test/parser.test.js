@@ -0,0 +1,235 @@
+const { tokenize, T } = require("../lib/lexer");
+const { parseHocon } = require("../lib/parser");
+const { parseString } = require("../lib/hoconParser");
+
+describe("HOCON Lexer", () => {
+  test("produces positioned tokens and drops comments", () => {
+    const tokens = tokenize('a = 1 # note\nb: "x"');
+    const significant = tokens.filter((t) => t.type !== T.WHITESPACE);
+    expect(significant.map((t) => t.type)).toEqual([
+      T.UNQUOTED,
+      T.SEPARATOR,
+      T.UNQUOTED,
+      T.NEWLINE,
+      T.UNQUOTED,
+      T.SEPARATOR,
+      T.QUOTED,
+      T.EOF,
+    ]);
+    const quoted = significant[6];
+    expect(quoted).toMatchObject({ value: "x", line: 2, col: 4 });
+  });
+
+  test("reads substitutions, escapes and triple-quoted strings", () => {
+    const tokens = tokenize('${?a.b} "tab\\there" """raw\n"text"""');
+    const [sub, , str, , triple] = tokens;
+    expect(sub).toMatchObject({
+      type: T.SUBSTITUTION,
+      expr: "a.b",
+      optional: true,
+    });
+    expect(str.value).toBe("tab\there");
+    expect(triple).toMatchObject({ quote: '"""', value: 'raw\n"text' });
+  });
+});
+
+describe("HOCON Parser (AST)", () => {
+  test("builds fields, includes, concatenations and substitutions", () => {
+    const ast = parseHocon(
+      'include required("x.conf")\na.b += [1]\nc = ${a.b} "!"',
+    );
+    const [inc, plus, concat] = ast.fields;
+    expect(inc).toMatchObject({
+      type: "Include",
+      target: "x.conf",
+      required: true,
+    });
+    expect(plus).toMatchObject({ type: "Field", path: ["a", "b"], op: "+=" });
+    expect(plus.value.type).toBe("Array");
+    expect(concat.value.type).toBe("Concat");
+    expect(concat.value.parts[0]).toMatchObject({
+      type: "Substitution",
+      path: ["a", "b"],
+      line: 3,
+      col: 5,
+    });
+  });
+
+  test("quoted key segments keep their dots", () => {
+    const ast = parseHocon('a."b.c".d = 1');
+    expect(ast.fields[0].path).toEqual(["a", "b.c", "d"]);
+  });
+});
+
+describe("Inputs the line-based parser could not represent", () => {
+  test("objects spanning lines inside arrays", () => {
+    const result = parseString(
+      `
+      servers = [
+        {
+          host = a
+          port = 1
+        }
+        { host = b, port = 2 }
+      ]
+    `,
+      __dirname,
+    );
+    expect(result.servers).toEqual([
+      { host: "a", port: 1 },
+      { host: "b", port: 2 },
+    ]);
+  });
+
+  test("'}' followed by more content on the same line", () => {
+    const result = parseString("a { x = 1 }, b = 2", __dirname);
+    expect(result).toEqual({ a: { x: 1 }, b: 2 });
+  });
+
+  test("values containing '{' inside quotes", () => {
+    const result = parseString('tpl = "{name}"\nnext = ok', __dirname);
+    expect(result).toEqual({ tpl: "{name}", next: "ok" });
+  });
+
+  test("JSON-style root braces", () => {
+    const result = parseString('{ "a": { "b": [1, 2] } }', __dirname);
+    expect(result).toEqual({ a: { b: [1, 2] } });
+  });
+});
+
+describe("Array literals", () => {
+  const parse = (hocon) => parseString(hocon, __dirname);
+
+  test("quoted strings keep their spaces and commas", () => {
+    expect(parse('a = ["a b", "c,d", \'e f\', """g\nh"""]').a).toEqual([
+      "a b",
+      "c,d",
+      "e f",
+      "g\nh",
+    ]);
+    expect(parse('a = [foo bar, "q" baz]').a).toEqual(["foo bar", "q baz"]);
+  });
+
+  test("nested arrays and objects as elements", () => {
+    expect(parse("a = [[1, 2], [3, [4]], []]").a).toEqual([
+      [1, 2],
+      [3, [4]],
+      [],
+    ]);
+    expect(
+      parse("a = [{ host = a, tags = [x, y] }, { b { c = [{ d = 1 }] } }]").a,
+    ).toEqual([{ host: "a", tags: ["x", "y"] }, { b: { c: [{ d: 1 }] } }]);
+  });
+
+  test("newlines and comments separate elements", () => {
+    const result = parse(
+      [
+        "a = [",
+        "  1 # one",
+        "  2 // two",
+        "",
+        "  3,",
+        "  {",
+        "    host = b",
+        "  }",
+        "]",
+      ].join("\n"),
+    );
+    expect(result.a).toEqual([1, 2, 3, { host: "b" }]);
+  });
+
+  test("substitutions as elements", () => {
+    expect(
+      parse(
+        "a = [${x}, ${y.z}, ${o} { b = 2 }, lit]\nx = 1\ny.z = [2]\no { a = 1 }",
+      ).a,
+    ).toEqual([1, [2], { a: 1, b: 2 }, "lit"]);
+  });
+
+  test("a comma must follow an element", () => {
+    expect(parse("a = [1, 2,]").a).toEqual([1, 2]);
+    expect(() => parse("a = [,1]")).toThrow("Unexpected ',' in array");
+    expect(() => parse("a = [1,,2]")).toThrow("Unexpected ',' in array");
+  });
+});
+
+describe("Parse errors and strict mode", () => {
+  const { HoconParseError } = require("../lib/hoconParser");
+
+  function parseError(hocon, options) {
+    try {
+      parseString(hocon, __dirname, options);
+    } catch (err) {
+      return err;
+    }
+    throw new Error("expected a parse error");
+  }
+
+  test("malformed line => HoconParseError with position and code frame", () => {
+    const err = parseError("a = 1\nb 2\nc = 3", { filePath: "app.conf" });
+    expect(err).toBeInstanceOf(HoconParseError);
+    expect(err.filePath).toBe("app.conf");
+    expect(err.line).toBe(2);
+    expect(err.column).toBe(4);
+    expect(err.message).toContain("after key 'b 2' but found end of line");
+    expect(err.codeFrame).toBe(
+      ["  1 | a = 1", "> 2 | b 2", "    |    ^", "  3 | c = 3"].join("\n"),
+    );
+  });
+
+  test("unbalanced braces and brackets", () => {
+    expect(parseError("a {\n  b = 1\n")).toMatchObject({ line: 1, column: 3 });
+    expect(parseError("a = 1\n}").reason).toMatch(/Unexpected '}'/);
+    expect(parseError("arr = [1, 2").reason).toMatch(/Unclosed '\['/);
+  });
+
+  test('unterminated """ string', () => {
+    const err = parseError('a = """never closed\nb = 2');
+    expect(err.reason).toMatch(/Unterminated """/);
+    expect(err).toMatchObject({ line: 1, column: 5 });
+  });
+
+  test("an unquoted URL is reported instead of silently cut at '//'", () => {
+    const err = parseError("url = http://example.com/x");
+    expect(err.reason).toMatch(/'\/\/' right after ':' starts a comment/);
+    expect(err).toMatchObject({ line: 1, column: 12 });
+    const warnings = [];
+    expect(
+      parseString("url = http://example.com/x\nok = 1 // fine", __dirname, {
+        strict: false,
+        warnings,
+      }),
+    ).toEqual({ url: "http:", ok: 1 });
+    expect(warnings).toHaveLength(1);
+  });
+
+  test("unknown include forms are errors, not silently dropped", () => {
+    expect(parseError('include bogus("x.conf")').reason).toMatch(
+      /Unsupported include/,
+    );
+  });
+
+  test("errors in included files name the included file", () => {
+    const baseFile = require("path").join(__dirname, "tmp-broken.conf");
+    require("fs").writeFileSync(baseFile, "ok = 1\nbroken {\n");
+    try {
+      const err = parseError('include "tmp-broken.conf"');
+      expect(err.filePath).toBe(baseFile);
+      expect(err.line).toBe(2);
+    } finally {
+      require("fs").unlinkSync(baseFile);
+    }
+  });
+
+  test("strict: false collects warnings and keeps the rest", () => {
+    const warnings = [];
+    const result = parseString("a = 1\nb 2\nc = 3\n}", __dirname, {
+      strict: false,
+      warnings,
+    });
+    expect(result).toEqual({ a: 1, c: 3 });
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toBeInstanceOf(HoconParseError);
+    expect(warnings.map((w) => w.line)).toEqual([2, 4]);
+  });
+});
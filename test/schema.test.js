@@ -0,0 +1,158 @@
+const path = require("path");
+const {
+  parse,
+  parseString,
+  validateConfig,
+  SchemaValidationError,
+} = require("../lib/hoconParser");
+
+describe("Schema validation", () => {
+  const schema = {
+    server: {
+      type: "object",
+      required: true,
+      properties: {
+        host: { type: "string", default: "localhost" },
+        port: { type: "int", required: true, min: 1, max: 65535 },
+        debug: { type: "boolean", default: false },
+      },
+    },
+    logLevel: { type: "string", enum: ["debug", "info", "warn"] },
+    hosts: { type: "array", items: { type: "string" }, min: 1 },
+    timeout: { type: "duration" },
+    tls: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean", default: false },
+        cert: { type: "string", required: true },
+      },
+    },
+  };
+
+  function validationError(hocon, s = schema) {
+    try {
+      parseString(hocon, __dirname, { schema: s });
+    } catch (err) {
+      return err;
+    }
+    throw new Error("expected a validation error");
+  }
+
+  test("valid config gets coercions and defaults", () => {
+    const result = parseString(
+      `
+      server { port = "8080", debug = "true" }
+      logLevel = info
+      hosts = [a, b]
+      timeout = 30s
+    `,
+      __dirname,
+      { schema },
+    );
+    expect(result).toEqual({
+      server: { host: "localhost", port: 8080, debug: true },
+      logLevel: "info",
+      hosts: ["a", "b"],
+      timeout: 30000,
+      tls: { enabled: false },
+    });
+  });
+
+  test("booleans and numbers read the same text as coerceOverrides", () => {
+    const flags = {
+      on: { type: "boolean" },
+      off: { type: "boolean" },
+      ratio: { type: "number" },
+    };
+    expect(
+      parseString('on = "yes"\noff = "OFF"\nratio = ".5"', __dirname, {
+        schema: flags,
+      }),
+    ).toEqual({ on: true, off: false, ratio: 0.5 });
+  });
+
+  test("reports every violation at once with dotted paths", () => {
+    const err = validationError(`
+      server { port = 70000, debug = maybe }
+      logLevel = trace
+      hosts = [a, { x = 1 }]
+      timeout = soon
+    `);
+    expect(err).toBeInstanceOf(SchemaValidationError);
+    expect(err.errors).toEqual([
+      { path: "server.port", message: "must be <= 65535, got 70000" },
+      {
+        path: "server.debug",
+        message: 'expected boolean, got string ("maybe")',
+      },
+      {
+        path: "logLevel",
+        message: 'must be one of "debug", "info", "warn", got "trace"',
+      },
+      {
+        path: "hosts[1]",
+        message: 'expected string, got object ({"x":1})',
+      },
+      { path: "timeout", message: 'expected duration, got string ("soon")' },
+    ]);
+    expect(err.message).toContain("failed with 5 error(s)");
+    expect(err.message).toContain("  - server.port: must be <= 65535");
+  });
+
+  test("required keys, nested required only once the parent exists", () => {
+    expect(validationError("logLevel = info").errors).toEqual([
+      { path: "server", message: "is required" },
+    ]);
+    expect(
+      validationError("server.port = 1\ntls.enabled = true").errors,
+    ).toEqual([{ path: "tls.cert", message: "is required" }]);
+  });
+
+  test("custom validators", () => {
+    const custom = {
+      name: {
+        type: "string",
+        validate: (v) => /^[a-z]+$/.test(v) || "must be lowercase letters",
+      },
+      port: {
+        type: "int",
+        validate: (v) => {
+          if (v % 2) throw new Error("must be even");
+        },
+      },
+      flag: { validate: () => false },
+    };
+    expect(
+      validationError("name = Bad1\nport = 3\nflag = x", custom).errors,
+    ).toEqual([
+      { path: "name", message: "must be lowercase letters" },
+      { path: "port", message: "must be even" },
+      { path: "flag", message: "failed custom validation" },
+    ]);
+  });
+
+  test("coerces env / CLI overrides passed through parse()", () => {
+    const originalArgv = process.argv;
+    process.argv = ["node", "app.js", "--server.port=9999"];
+    try {
+      const conf = parse(path.join(__dirname, "config", "example.conf"), {
+        parseEnv: false,
+        schema: {
+          server: { type: "object", properties: { port: { type: "int" } } },
+        },
+      });
+      expect(conf.server.port).toBe(9999);
+    } finally {
+      process.argv = originalArgv;
+    }
+  });
+
+  test("validateConfig works on plain objects and root object specs", () => {
+    const obj = { port: "80" };
+    validateConfig(obj, {
+      type: "object",
+      properties: { port: { type: "number" }, name: { default: "x" } },
+    });
+    expect(obj).toEqual({ port: 80, name: "x" });
+  });
+});
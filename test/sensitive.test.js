@@ -0,0 +1,159 @@
+const util = require("util");
+const {
+  parseString,
+  stringify,
+  SchemaValidationError,
+} = require("../lib/hoconParser");
+
+const CONF = [
+  "db { host = h, password = hunter2, Admin_Password = toor }",
+  "api { key = k1, clientSecret = s1 }",
+  "vault.credentials { user = u, token = t }",
+  "tokens = [t1, t2]",
+].join("\n");
+
+describe("sensitive values", () => {
+  const sensitive = [
+    "*.password",
+    "*_password",
+    "*secret*",
+    "credentials",
+    "tokens",
+  ];
+
+  test("patterns match the end of a path, in any case", () => {
+    const conf = parseString(CONF, __dirname, { sensitive, asConfig: true });
+    expect(conf.toSafeJSON()).toEqual({
+      db: { host: "h", password: "[REDACTED]", Admin_Password: "[REDACTED]" },
+      api: { key: "k1", clientSecret: "[REDACTED]" },
+      vault: { credentials: "[REDACTED]" },
+      tokens: "[REDACTED]",
+    });
+    // the application still reads the real values
+    expect(conf.get("db.password")).toBe("hunter2");
+    expect(conf.getConfig("vault").get("credentials.token")).toBe("t");
+    expect(conf.isSensitive("vault.credentials.token")).toBe(true);
+    expect(conf.getConfig("db").isSensitive("host")).toBe(false);
+  });
+
+  test("a schema flag marks exactly its path", () => {
+    const schema = {
+      db: {
+        type: "object",
+        properties: { password: { type: "string", sensitive: true } },
+      },
+      api: { type: "object", properties: { key: { sensitive: true } } },
+    };
+    const conf = parseString(
+      "db.password = pw\npassword = top\napi.key = k",
+      __dirname,
+      {
+        schema,
+        asConfig: true,
+      },
+    );
+    expect(conf.toSafeJSON()).toEqual({
+      db: { password: "[REDACTED]" },
+      password: "top",
+      api: { key: "[REDACTED]" },
+    });
+    expect(() =>
+      parseString("pin = 1234", __dirname, {
+        schema: { pin: { type: "boolean", sensitive: true } },
+      }),
+    ).toThrow(
+      expect.objectContaining({
+        constructor: SchemaValidationError,
+        message: expect.not.stringContaining("1234"),
+      }),
+    );
+  });
+
+  test("schema errors redact what a pattern or a sensitive parent covers", () => {
+    const messages = (text, options) => {
+      try {
+        parseString(text, __dirname, options);
+      } catch (err) {
+        return err.errors.map((e) => `${e.path} ${e.message}`);
+      }
+      return [];
+    };
+    expect(
+      messages("db.password = 1234\npin = 42", {
+        sensitive: ["password", "pin"],
+        schema: {
+          db: { type: "object", properties: { password: { type: "boolean" } } },
+          pin: { type: "int", min: 1000 },
+        },
+      }),
+    ).toEqual([
+      "db.password expected boolean, got number ([REDACTED])",
+      "pin must be >= 1000, got [REDACTED]",
+    ]);
+    expect(
+      messages("vault { tokens = [abc] }", {
+        schema: {
+          vault: {
+            type: "object",
+            sensitive: true,
+            properties: { tokens: { type: "array", items: { type: "int" } } },
+          },
+        },
+      }),
+    ).toEqual(["vault.tokens[0] expected int, got string ([REDACTED])"]);
+  });
+
+  test("debug output, stringify, inspect and error messages are redacted", () => {
+    const debug = jest.spyOn(console, "debug").mockImplementation(() => {});
+    try {
+      const conf = parseString(CONF, __dirname, {
+        sensitive,
+        debug: true,
+        asConfig: true,
+      });
+      const logged = debug.mock.calls.flat().join("\n");
+      expect(logged).toContain("[REDACTED]");
+      for (const secret of ["hunter2", "toor", "s1", '"t"', "t1"]) {
+        expect(logged).not.toContain(secret);
+        expect(stringify(conf.root, { format: "hocon" })).not.toContain(secret);
+        expect(util.inspect(conf, { depth: null })).not.toContain(secret);
+      }
+      expect(util.inspect(conf.getConfig("db"))).toBe(
+        "Config { host: 'h', password: '[REDACTED]', Admin_Password: '[REDACTED]' }",
+      );
+      expect(() => conf.getInt("db.password")).toThrow(
+        "Config path 'db.password' has type string ([REDACTED]), expected integer",
+      );
+      // the real values when asked for them
+      expect(
+        JSON.parse(stringify(conf.root, { redact: false })).db.password,
+      ).toBe("hunter2");
+    } finally {
+      debug.mockRestore();
+    }
+  });
+
+  test("stringify takes patterns of its own", () => {
+    const plain = parseString("a.password = x\nb = y", __dirname);
+    expect(
+      stringify(plain, { format: "properties", sensitive: ["password"] }),
+    ).toBe("a.password=[REDACTED]\nb=y");
+  });
+
+  test("explain() redacts values and what they overrode", () => {
+    const conf = parseString(
+      "db.password = old\ndb.password = new\nlist = [{ secret = s }]",
+      __dirname,
+      {
+        sensitive: ["password", "secret"],
+        trackOrigins: true,
+        asConfig: true,
+      },
+    );
+    const text = conf.explain();
+    expect(text).toContain("db.password = [REDACTED]  (<string>:2:1)");
+    expect(text).toContain("  overrode [REDACTED]  (<string>:1:1)");
+    expect(text).toContain('list = [{"secret":"[REDACTED]"}]');
+    expect(text).not.toMatch(/old|new|"s"/);
+  });
+});
@@ -0,0 +1,111 @@
+const path = require("path");
+const { parseFile, parseString, stringify } = require("../lib/hoconParser");
+
+const tricky = {
+  "a.b": { "": 1, "with space": "x", include: true },
+  plain: { nested: { deep: "value" }, empty: {} },
+  strings: {
+    number: "8080",
+    boolean: "true",
+    version: "2.0",
+    quotes: 'say "hi"',
+    backslash: "C:\\temp\\",
+    unicode: "héllo \u0001",
+    multi: "line one\nline two\n",
+    endsWithQuote: 'first\nsecond "',
+    tripleQuotes: 'a\n"""\nb',
+    subst: "${not.a.ref}",
+  },
+  numbers: [1, -2.5, 0],
+  nulls: { x: null },
+  mixed: [{ host: "a", port: 1 }, ["x", "y"], [], "z"],
+};
+
+describe("stringify", () => {
+  test("HOCON output round-trips through parseString", () => {
+    for (const indent of [2, 4]) {
+      const text = stringify(tricky, { format: "hocon", indent });
+      expect(parseString(text, __dirname)).toEqual(tricky);
+    }
+  });
+
+  test("flattened and sorted HOCON round-trips too", () => {
+    const text = stringify(tricky, {
+      format: "hocon",
+      flatten: true,
+      sortKeys: true,
+    });
+    expect(text).toContain('"a.b"."with space" = "x"');
+    expect(text).toContain("plain.empty = {}");
+    expect(parseString(text, __dirname)).toEqual(tricky);
+  });
+
+  test("a real config file round-trips", () => {
+    const file = path.join(__dirname, "config", "base.conf");
+    const config = parseFile(file, { overrides: {} });
+    const text = stringify(config, { format: "hocon" });
+    expect(parseString(text, __dirname)).toEqual(config);
+  });
+
+  test('quotes keys and strings, uses """ for multi-line text', () => {
+    expect(
+      stringify(
+        { "a.b": { c: "x\ny", n: 1, list: [1, "two"] } },
+        { format: "hocon" },
+      ),
+    ).toBe(
+      [
+        '"a.b" {',
+        '  c = """x',
+        'y"""',
+        "  n = 1",
+        '  list = [1, "two"]',
+        "}",
+      ].join("\n"),
+    );
+  });
+
+  test("sortKeys orders keys at every level", () => {
+    const text = stringify({ b: 1, a: { z: 1, y: 2 } }, { sortKeys: true });
+    expect(text).toBe(JSON.stringify({ a: { y: 2, z: 1 }, b: 1 }, null, 2));
+    expect(stringify({ b: 1, a: 2 }, { format: "hocon", sortKeys: true })).toBe(
+      "a = 2\nb = 1",
+    );
+  });
+
+  test("JSON honours indent and flatten", () => {
+    expect(stringify({ a: { b: 1 } }, { indent: 0 })).toBe('{"a":{"b":1}}');
+    expect(
+      JSON.parse(stringify({ a: { b: 1, "c.d": [1] } }, { flatten: true })),
+    ).toEqual({ "a.b": 1, 'a."c.d"': [1] });
+  });
+
+  test("properties output is flat and escaped", () => {
+    expect(
+      stringify(
+        {
+          server: { host: "localhost", ports: [80, 443] },
+          "key with=sep": " padded",
+          text: "a\nb",
+          none: null,
+        },
+        { format: "properties" },
+      ),
+    ).toBe(
+      [
+        "server.host=localhost",
+        "server.ports.0=80",
+        "server.ports.1=443",
+        "key\\ with\\=sep=\\ padded",
+        "text=a\\nb",
+        "none=",
+      ].join("\n"),
+    );
+  });
+
+  test("unknown formats throw", () => {
+    expect(() => stringify({}, { format: "yaml" })).toThrow(
+      "Unknown output format => yaml",
+    );
+  });
+});
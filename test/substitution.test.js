@@ -0,0 +1,215 @@
+const path = require("path");
+const { parseString, parseFile } = require("../lib/hoconParser");
+
+const parse = (text) => parseString(text, __dirname);
+const fixture = (...names) =>
+  path.join(__dirname, "fixtures", "substitution", ...names);
+
+describe("substitutions", () => {
+  test("self-references see the earlier value", () => {
+    expect(parse('path = "/bin"\npath = ${path}":/opt/bin"')).toEqual({
+      path: "/bin:/opt/bin",
+    });
+    expect(parse("x = [1, 2, 3]\nx = ${x} [4]")).toEqual({ x: [1, 2, 3, 4] });
+    // only the field being defined looks back; other paths see the final value
+    expect(
+      parse("foo { a = 1 }\nfoo { a = ${foo.a}0, b = ${foo.a} }\nfoo.a = 5"),
+    ).toEqual({ foo: { a: 5, b: 5 } });
+  });
+
+  test("self-references see values from includes", () => {
+    expect(parseFile(fixture("self", "app.conf"))).toEqual({
+      list: [1, 2],
+      name: "base-app",
+    });
+  });
+
+  test("self-references and += in an include see the including file", () => {
+    expect(parseFile(fixture("outer", "app.conf"))).toEqual({
+      x: [1, 2],
+      plugins: ["a", "b"],
+      svc: { name: "s-2" },
+    });
+  });
+
+  test("forward references resolve to the final value", () => {
+    expect(
+      parse(
+        'url = "http://"${host}":"${port}\nhost = a\nport = 80\nhost = b\nlist = [${port}]',
+      ),
+    ).toEqual({ url: "http://b:80", host: "b", port: 80, list: [80] });
+    expect(parse("a = ${b.c}\nb = ${d}\nd { c = 1 }")).toEqual({
+      a: 1,
+      b: { c: 1 },
+      d: { c: 1 },
+    });
+    expect(
+      parse("bar { foo = 42, baz = ${bar.foo} }\nbar { foo = 43 }"),
+    ).toEqual({ bar: { foo: 43, baz: 43 } });
+  });
+
+  test("cycles throw with the cycle path", () => {
+    expect(() => parse("a = ${b}\nb = ${c}\nc = ${a}")).toThrow(
+      "HOCON: Substitution cycle => a -> b -> c -> a",
+    );
+    expect(() => parse("bar { foo = 1, baz = ${bar} }")).toThrow(
+      "HOCON: Substitution cycle => bar.baz -> bar -> bar.baz",
+    );
+  });
+
+  test("unresolved substitutions throw, unless there's a fallback", () => {
+    expect(() => parse("a = 1\nb = ${a.missing}")).toThrow(
+      "HOCON: Could not resolve substitution ${a.missing} (<string>:2:5)",
+    );
+    expect(() => parse('s = "x"${nope}')).toThrow("${nope}");
+    expect(() => parse("foo = ${foo}")).toThrow("${foo}");
+    expect(parse('v = ${missing} or "fb"')).toEqual({ v: "fb" });
+  });
+
+  test("${?path} reads the config, and missing drops out with its whitespace", () => {
+    expect(parse("x = 1\nx = ${?x} 2")).toEqual({ x: "1 2" });
+    expect(parse("a = ${?a} [1]")).toEqual({ a: [1] });
+    expect(parse("b = 1\nc = ${?b}\nb = 2")).toEqual({ b: 2, c: 2 });
+    expect(parse("s = a ${?nope} b ${?nope}")).toEqual({ s: "a b" });
+    expect(parse("s = ${?nope} b")).toEqual({ s: "b" });
+    expect(parse("keep = 1\nkeep = ${?nope} ${?nope}")).toEqual({ keep: 1 });
+    expect(Object.keys(parse("gone = ${?nope}\nself = ${?self}"))).toEqual([]);
+  });
+
+  test("${?path} refers forward like ${path}, the environment coming last", () => {
+    expect(parse("a = ${?b}\nb = 1")).toEqual({ a: 1, b: 1 });
+    expect(parse("x = ${?db.port}\ndb.port = 5432")).toEqual({
+      x: 5432,
+      db: { port: 5432 },
+    });
+    process.env.HOCON_FWD_TEST = "env";
+    try {
+      expect(parse("x = ${?HOCON_FWD_TEST}\nHOCON_FWD_TEST = conf").x).toBe(
+        "conf",
+      );
+      expect(parse("x = ${?HOCON_FWD_TEST}").x).toBe("env");
+    } finally {
+      delete process.env.HOCON_FWD_TEST;
+    }
+    // missing => the old value (or element) stays
+    expect(parse("p = [1, 2]\np = [${?nope}]\nq = 1\nq = ${?nope}")).toEqual({
+      p: [1, 2],
+      q: 1,
+    });
+  });
+
+  test("+= appends to an array, like `a = ${?a} [b]`", () => {
+    expect(parse("arr = [1]\narr += 3")).toEqual({ arr: [1, 3] });
+    expect(parse("arr = [1]\narr += [2]\narr += ${x}\nx = 4")).toEqual({
+      arr: [1, 2, 4],
+      x: 4,
+    });
+    // onto a substitution, earlier or later
+    expect(parse("b = [1]\na = ${b}\na += 2")).toEqual({ b: [1], a: [1, 2] });
+    expect(parse("a = ${b}\na += 2\nb = [1]")).toEqual({ a: [1, 2], b: [1] });
+  });
+
+  test("a path missing from the config falls back to the environment", () => {
+    process.env.HOCON_SUBST_TEST = "42";
+    try {
+      expect(parse("a = ${HOCON_SUBST_TEST}")).toEqual({ a: 42 });
+    } finally {
+      delete process.env.HOCON_SUBST_TEST;
+    }
+  });
+});
+
+describe("concatenation", () => {
+  test("substitutes values into strings once they're resolved", () => {
+    expect(
+      parse('url = "http://"${host}":"${port}"/api"\nhost = db\nport = 8080'),
+    ).toEqual({ url: "http://db:8080/api", host: "db", port: 8080 });
+    expect(parse('greeting = "Hello, "${user.name}!\nuser.name = Ada')).toEqual(
+      {
+        greeting: "Hello, Ada!",
+        user: { name: "Ada" },
+      },
+    );
+  });
+
+  test("keeps the whitespace between pieces exactly", () => {
+    expect(parse("a = foo   bar\tbaz  # trailing is dropped")).toEqual({
+      a: "foo   bar\tbaz",
+    });
+    expect(parse('x = ${a}  "  q  "\na = hi')).toEqual({
+      x: "hi    q  ",
+      a: "hi",
+    });
+    // unquoted pieces keep their source text
+    expect(parse("price = 1.50 EUR\nflag = true  story")).toEqual({
+      price: "1.50 EUR",
+      flag: "true  story",
+    });
+  });
+
+  test("arrays and objects still merge, whitespace or not", () => {
+    expect(parse("l = [1]   [2]${m}\nm = [3]")).toEqual({
+      l: [1, 2, 3],
+      m: [3],
+    });
+  });
+});
+
+describe("object inheritance", () => {
+  test("${defaults} { ... } merges once defaults is known", () => {
+    const expected = {
+      defaults: { host: "a", port: 80, tls: { on: false } },
+      prod: { host: "a", port: 443, tls: { on: true } },
+    };
+    const defaults = "defaults { host = a, port = 80, tls { on = false } }";
+    const prod = "prod = ${defaults} { port = 443, tls.on = true }";
+    expect(parse(`${defaults}\n${prod}`)).toEqual(expected);
+    expect(parse(`${prod}\n${defaults}`)).toEqual(expected);
+  });
+
+  test("later fields layer on top of an inherited block", () => {
+    expect(
+      parse(
+        "prod = ${defaults}\nprod { port = 1 }\nprod.tls = true\ndefaults { host = a, port = 80 }",
+      ),
+    ).toEqual({
+      prod: { host: "a", port: 1, tls: true },
+      defaults: { host: "a", port: 80 },
+    });
+    // a substitution over an object merges with it too, unless it isn't one
+    expect(parse("a { x = 1 }\na = ${b}\nb { y = 2 }")).toEqual({
+      a: { x: 1, y: 2 },
+      b: { y: 2 },
+    });
+    expect(parse("a { x = 1 }\na = ${b}\nb = str")).toEqual({
+      a: "str",
+      b: "str",
+    });
+  });
+
+  test("works across includes and with overrides", () => {
+    expect(
+      parseFile(fixture("inherit", "app.conf"), {
+        overrides: { "prod.host": "b" },
+      }),
+    ).toEqual({
+      prod: { host: "b", port: 443, debug: false },
+      defaults: { host: "a", port: 80 },
+    });
+  });
+
+  test("an include nested under a key resolves relative to it first", () => {
+    expect(parseFile(fixture("nested", "app.conf"))).toEqual({
+      x: "root",
+      top: "t",
+      a: { x: 1, y: 1, z: "t" }, // no a.top => the root's top
+      b: { c: { x: 2, y: 2, z: "t" } },
+    });
+  });
+
+  test("an object can't join a string", () => {
+    expect(() => parse("x = ${defaults} { a = 1 }\ndefaults = str")).toThrow(
+      "HOCON: Can't concatenate an object with a string",
+    );
+  });
+});
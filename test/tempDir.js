@@ -0,0 +1,35 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * tempDir(prefix) => a fresh directory for each test in the calling
+ * describe(), removed afterwards. Only for tests that change files on disk;
+ * static files belong in test/fixtures.
+ *
+ *   const tmp = tempDir("hocon-watch-");
+ *   tmp.write("conf/app.conf", "a = 1"); // parent directories are created
+ *   parseFile(tmp.file("conf/app.conf"));
+ */
+function tempDir(prefix) {
+  const tmp = {
+    dir: null,
+    file: (name) => path.join(tmp.dir, name),
+    write: (name, content) => {
+      fs.mkdirSync(path.dirname(tmp.file(name)), { recursive: true });
+      fs.writeFileSync(tmp.file(name), content);
+    },
+  };
+
+  beforeEach(() => {
+    tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp.dir, { recursive: true, force: true });
+  });
+
+  return tmp;
+}
+
+module.exports = { tempDir };
@@ -0,0 +1,80 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { generateTypes, parseString } = require("../lib/hoconParser");
+const { toTypeScript } = require("../lib/typegen");
+const { runCli } = require("../lib/cli");
+
+function captureIo() {
+  const io = { out: "", err: "" };
+  io.stdout = { write: (s) => (io.out += s) };
+  io.stderr = { write: (s) => (io.err += s) };
+  return io;
+}
+
+describe("TypeScript declaration generation", () => {
+  test("infers numbers, booleans, strings, nested objects and arrays", () => {
+    const config = parseString(
+      `
+      app { name = demo, debug = false, version = "2.0" }
+      ports = [8080, 9090]
+      mixed = [1, two]
+      empty = []
+      servers = [{ host = a, port = 1 }]
+      "my-key" = null
+    `,
+      __dirname,
+    );
+    expect(toTypeScript(config, { name: "AppConfig" })).toBe(
+      [
+        "// Generated by hocon-config. Do not edit by hand.",
+        "",
+        "export interface AppConfig {",
+        "  app: {",
+        "    name: string;",
+        "    debug: boolean;",
+        "    version: string;",
+        "  };",
+        "  ports: number[];",
+        "  mixed: Array<number | string>;",
+        "  empty: unknown[];",
+        "  servers: Array<{",
+        "    host: string;",
+        "    port: number;",
+        "  }>;",
+        '  "my-key": null;',
+        "}",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  test("generateTypes parses the file through parseFile", () => {
+    const dts = generateTypes(path.join(__dirname, "config", "base.conf"));
+    expect(dts).toContain("from base.conf");
+    expect(dts).toContain("export interface Config {");
+    expect(dts).toMatch(/database: \{\n\s+host: string;\n\s+port: number;/);
+    expect(dts).toContain("ports: number[];");
+  });
+
+  test("`hocon-config types` prints or writes the declaration", () => {
+    const file = path.join(__dirname, "config", "base.conf");
+    const io = captureIo();
+    expect(runCli(["types", file, "--name", "BaseConfig"], io)).toBe(0);
+    expect(io.out).toContain("export interface BaseConfig {");
+
+    const out = path.join(os.tmpdir(), `hocon-types-${process.pid}.d.ts`);
+    try {
+      expect(runCli(["types", file, `--out=${out}`], captureIo())).toBe(0);
+      expect(fs.readFileSync(out, "utf8")).toBe(generateTypes(file));
+    } finally {
+      if (fs.existsSync(out)) fs.unlinkSync(out);
+    }
+  });
+
+  test("`hocon-config types` without a file is a usage error", () => {
+    const io = captureIo();
+    expect(runCli(["types"], io)).toBe(2);
+    expect(io.err).toContain("missing <file>");
+  });
+});
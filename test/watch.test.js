@@ -0,0 +1,135 @@
+const { watch, diffConfigs } = require("../lib/hoconParser");
+const { tempDir } = require("./tempDir");
+
+const FAST = { parseEnv: false, parseArgs: false, interval: 20, debounce: 20 };
+
+function nextEvent(emitter, name) {
+  return new Promise((resolve) => {
+    emitter.once(name, (...args) => resolve(args));
+  });
+}
+
+describe("watch", () => {
+  const { file, write } = tempDir("hocon-watch-");
+  let watcher;
+
+  beforeEach(() => {
+    watcher = null;
+  });
+
+  afterEach(() => {
+    if (watcher) watcher.close();
+  });
+
+  test("re-parses on change and reports the changed paths", async () => {
+    write("app.conf", 'include "db.conf"\nport = 80');
+    write("db.conf", "db { host = a, port = 1 }");
+    const onChange = jest.fn();
+    watcher = watch(file("app.conf"), FAST, onChange);
+    expect(watcher.config).toEqual({ db: { host: "a", port: 1 }, port: 80 });
+    expect([...watcher.files]).toEqual([file("app.conf"), file("db.conf")]);
+
+    let changed = nextEvent(watcher, "change");
+    write("db.conf", "db { host = b, port = 1 }");
+    let [config, changes, previous] = await changed;
+    expect(config.db.host).toBe("b");
+    expect(previous.db.host).toBe("a");
+    expect(changes).toEqual([
+      { path: "db.host", type: "changed", before: "a", after: "b" },
+    ]);
+    expect(watcher.config).toBe(config);
+    expect(onChange).toHaveBeenCalledWith(config, changes, previous);
+
+    changed = nextEvent(watcher, "change");
+    write("app.conf", 'include "db.conf"\nport = 81\nextra = yes');
+    [, changes] = await changed;
+    expect(changes).toEqual([
+      { path: "port", type: "changed", before: 80, after: 81 },
+      { path: "extra", type: "added", before: undefined, after: "yes" },
+    ]);
+  });
+
+  test("keeps the previous config when the new version fails to parse", async () => {
+    write("app.conf", "a = 1");
+    watcher = watch(file("app.conf"), FAST);
+
+    const failed = nextEvent(watcher, "error");
+    write("app.conf", "a = {");
+    const [err] = await failed;
+    expect(err.name).toBe("HoconParseError");
+    expect(watcher.config).toEqual({ a: 1 });
+
+    const changed = nextEvent(watcher, "change");
+    write("app.conf", "a = 2");
+    const [config] = await changed;
+    expect(config).toEqual({ a: 2 });
+  });
+
+  test("follows the include graph as it changes", async () => {
+    write("app.conf", 'include "opt.conf"\na = 1');
+    watcher = watch(file("app.conf"), FAST);
+    // a missing optional include is watched so its creation is noticed
+    expect(watcher.files.has(file("opt.conf"))).toBe(true);
+
+    let changed = nextEvent(watcher, "change");
+    write("opt.conf", "b = 2");
+    let [config] = await changed;
+    expect(config).toEqual({ a: 1, b: 2 });
+
+    changed = nextEvent(watcher, "change");
+    write("app.conf", 'include "other.conf"\na = 1');
+    write("other.conf", "c = 3");
+    [config] = await changed;
+    expect(config).toEqual({ a: 1, c: 3 });
+    expect([...watcher.files]).toEqual([file("app.conf"), file("other.conf")]);
+
+    changed = nextEvent(watcher, "change");
+    write("other.conf", "c = 4");
+    [config] = await changed;
+    expect(config.c).toBe(4);
+  });
+
+  test("notices files added to a dir() include", async () => {
+    write("conf.d/a.conf", "a = 1");
+    write("app.conf", 'include dir("conf.d")');
+    watcher = watch(file("app.conf"), FAST);
+    expect(watcher.config).toEqual({ a: 1 });
+
+    const changed = nextEvent(watcher, "change");
+    write("conf.d/b.conf", "b = 2");
+    const [config] = await changed;
+    expect(config).toEqual({ a: 1, b: 2 });
+    expect(watcher.files.has(file("conf.d/b.conf"))).toBe(true);
+  });
+
+  test("close() stops watching", () => {
+    write("app.conf", "a = 1");
+    watcher = watch(file("app.conf"), FAST);
+    watcher.close();
+    expect(watcher.files.size).toBe(0);
+  });
+
+  test("the first parse still throws", () => {
+    write("app.conf", "a = {");
+    expect(() => watch(file("app.conf"), FAST)).toThrow("Unclosed '{'");
+  });
+});
+
+describe("diffConfigs", () => {
+  test("compares objects key by key and arrays as a whole", () => {
+    expect(
+      diffConfigs(
+        { a: { b: 1, c: 2 }, list: [1, 2], gone: true, same: { x: [1] } },
+        { a: { b: 1, c: 3, d: 4 }, list: [1, 2, 3], same: { x: [1] } },
+      ),
+    ).toEqual([
+      { path: "a.c", type: "changed", before: 2, after: 3 },
+      { path: "a.d", type: "added", before: undefined, after: 4 },
+      { path: "list", type: "changed", before: [1, 2], after: [1, 2, 3] },
+      { path: "gone", type: "removed", before: true, after: undefined },
+    ]);
+    expect(diffConfigs({ "a.b": { c: 1 } }, { "a.b": 2 })).toEqual([
+      { path: '"a.b"', type: "changed", before: { c: 1 }, after: 2 },
+    ]);
+  });
+});